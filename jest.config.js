@@ -14,7 +14,7 @@ module.exports = {
     ],
     
     // Module name mapping
-    moduleNameMapping: {
+    moduleNameMapper: {
         '^@/(.*)$': '<rootDir>/src/$1',
         '^@core/(.*)$': '<rootDir>/packages/core/src/$1',
         '^@ui/(.*)$': '<rootDir>/packages/ui/src/$1',
@@ -22,7 +22,8 @@ module.exports = {
     },
     
     // Coverage configuration
-    collectCoverage: true,
+    // Collected by test:coverage, whose thresholds apply to that run only
+    collectCoverage: false,
     collectCoverageFrom: [
         'src/**/*.{js,jsx}',
         'packages/**/src/**/*.{js,jsx}',
@@ -59,36 +60,6 @@ module.exports = {
         '<rootDir>/build/'
     ],
     
-    // Mock configuration for browser APIs
-    globals: {
-        chrome: {
-            runtime: {
-                sendMessage: jest.fn(),
-                onMessage: {
-                    addListener: jest.fn()
-                }
-            },
-            storage: {
-                local: {
-                    get: jest.fn(),
-                    set: jest.fn()
-                }
-            },
-            tabs: {
-                query: jest.fn(),
-                sendMessage: jest.fn()
-            }
-        },
-        browser: {
-            runtime: {
-                sendMessage: jest.fn(),
-                onMessage: {
-                    addListener: jest.fn()
-                }
-            }
-        }
-    },
-    
     // Clear mocks between tests
     clearMocks: true,
     
@@ -1,19 +1,22 @@
 // Core API connection methods
 import fetch from 'node-fetch';
+import { NETWORK_PROFILES, DEFAULT_NETWORK } from '../utils/network-profiles.js';
 
-export function connectToHelius(apiKey) {
-    return fetch('https://api.helius.dev/v0/connect', {
+// Pass a profile's heliusApiUrl to target another cluster
+const DEFAULT_API_URL = NETWORK_PROFILES[DEFAULT_NETWORK].heliusApiUrl;
+
+export function connectToHelius(apiKey, apiUrl = DEFAULT_API_URL) {
+    return fetch(`${apiUrl}/connect`, {
         headers: { 'Authorization': `Bearer ${apiKey}` }
     }).then(response => response.json());
 }
 
-export async function getWalletTransactions(walletAddress) {
-    const response = await fetch(`https://api.helius.dev/v0/wallet/${walletAddress}/transactions`);
+export async function getWalletTransactions(walletAddress, apiUrl = DEFAULT_API_URL) {
+    const response = await fetch(`${apiUrl}/wallet/${walletAddress}/transactions`);
     return response.json();
 }
 
-export async function getTokenData(mintAddress) {
-    const response = await fetch(`https://api.helius.dev/v0/token/${mintAddress}`);
+export async function getTokenData(mintAddress, apiUrl = DEFAULT_API_URL) {
+    const response = await fetch(`${apiUrl}/token/${mintAddress}`);
     return response.json();
 }
-
@@ -0,0 +1,406 @@
+/**
+ * Program Decoders
+ * Built-in instruction decoders for the major Solana DEX and launchpad programs.
+ * Each program is described by a table of instruction discriminators, so the
+ * decoders share one code path and a new instruction is one table entry.
+ */
+
+export const PROGRAM_IDS = {
+    JUPITER_V6: 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4',
+    RAYDIUM_AMM: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+    RAYDIUM_CLMM: 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK',
+    RAYDIUM_CPMM: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',
+    ORCA_WHIRLPOOL: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
+    METEORA_DLMM: 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',
+    PUMP_FUN: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
+    PHOENIX: 'PhoeNiXZ8ByJGLkxNfZRnkUfjvmuYqLR89jjFHGqdXY'
+};
+
+// Jupiter's shared-accounts variants route through program-owned token accounts
+const JUPITER_ROUTE_ACCOUNTS = { user: 1, source: 2, destination: 3, outputMint: 5 };
+const JUPITER_SHARED_ACCOUNTS = {
+    user: 2,
+    source: 3,
+    destination: 6,
+    inputMint: 7,
+    outputMint: 8
+};
+
+const CLMM_SWAP_ACCOUNTS = { user: 0, pool: 2, source: 3, destination: 4 };
+const CPMM_SWAP_ACCOUNTS = {
+    user: 0,
+    pool: 3,
+    source: 4,
+    destination: 5,
+    inputMint: 10,
+    outputMint: 11
+};
+const WHIRLPOOL_LIQUIDITY_ACCOUNTS = { pool: 0, user: 2 };
+const DLMM_SWAP_ACCOUNTS = {
+    pool: 0,
+    source: 4,
+    destination: 5,
+    mintX: 6,
+    mintY: 7,
+    user: 10
+};
+const DLMM_LIQUIDITY_ACCOUNTS = { pool: 1, user: 11 };
+const PUMP_TRADE_ACCOUNTS = { mint: 2, bondingCurve: 3, user: 6 };
+const PHOENIX_ACCOUNTS = { market: 2, user: 3 };
+
+/*
+ * Anchor programs start instruction data with sha256('global:<name>')[0..8].
+ * Account positions come from each program's IDL; negative positions count
+ * from the end for instructions with optional accounts.
+ */
+const ANCHOR_PROGRAMS = {
+    [PROGRAM_IDS.JUPITER_V6]: {
+        protocol: 'jupiter',
+        instructions: {
+            e517cb977ae3ad2a: { name: 'route', action: 'swap', accounts: JUPITER_ROUTE_ACCOUNTS },
+            c1209b3341d69c81: {
+                name: 'sharedAccountsRoute',
+                action: 'swap',
+                accounts: JUPITER_SHARED_ACCOUNTS
+            },
+            d033ef977b2bed5c: {
+                name: 'exactOutRoute',
+                action: 'swap',
+                accounts: { user: 1, source: 2, destination: 3, inputMint: 5, outputMint: 6 }
+            },
+            b0d169a89a7d453e: {
+                name: 'sharedAccountsExactOutRoute',
+                action: 'swap',
+                accounts: JUPITER_SHARED_ACCOUNTS
+            },
+            '96564774a75d0e68': {
+                name: 'routeWithTokenLedger',
+                action: 'swap',
+                accounts: JUPITER_ROUTE_ACCOUNTS
+            },
+            e6798f50779f6aaa: {
+                name: 'sharedAccountsRouteWithTokenLedger',
+                action: 'swap',
+                accounts: JUPITER_SHARED_ACCOUNTS
+            }
+        }
+    },
+    [PROGRAM_IDS.RAYDIUM_CLMM]: {
+        protocol: 'raydium-clmm',
+        instructions: {
+            f8c69e91e17587c8: { name: 'swap', action: 'swap', accounts: CLMM_SWAP_ACCOUNTS },
+            '2b04ed0b1ac91e62': {
+                name: 'swapV2',
+                action: 'swap',
+                accounts: { ...CLMM_SWAP_ACCOUNTS, inputMint: 11, outputMint: 12 }
+            },
+            '87802f4d0f98f031': {
+                name: 'openPosition',
+                action: 'openPosition',
+                accounts: { user: 0, pool: 5 }
+            },
+            '4db84ad67056f1c7': {
+                name: 'openPositionV2',
+                action: 'openPosition',
+                accounts: { user: 0, pool: 5 }
+            },
+            '2e9cf3760dcdfbb2': {
+                name: 'increaseLiquidity',
+                action: 'addLiquidity',
+                accounts: { user: 0, pool: 2 }
+            },
+            '851d59df45eeb00a': {
+                name: 'increaseLiquidityV2',
+                action: 'addLiquidity',
+                accounts: { user: 0, pool: 2 }
+            },
+            a026d06f685b2c01: {
+                name: 'decreaseLiquidity',
+                action: 'removeLiquidity',
+                accounts: { user: 0, pool: 3 }
+            },
+            '3a7fbc3e4f52c460': {
+                name: 'decreaseLiquidityV2',
+                action: 'removeLiquidity',
+                accounts: { user: 0, pool: 3 }
+            },
+            e992d18ecf6840bc: {
+                name: 'createPool',
+                action: 'createPool',
+                accounts: { user: 0, pool: 2, mintA: 3, mintB: 4 }
+            }
+        }
+    },
+    [PROGRAM_IDS.RAYDIUM_CPMM]: {
+        protocol: 'raydium-cpmm',
+        instructions: {
+            '8fbe5adac41e33de': {
+                name: 'swapBaseInput',
+                action: 'swap',
+                accounts: CPMM_SWAP_ACCOUNTS
+            },
+            '37d96256a34ab4ad': {
+                name: 'swapBaseOutput',
+                action: 'swap',
+                accounts: CPMM_SWAP_ACCOUNTS
+            },
+            f223c68952e1f2b6: {
+                name: 'deposit',
+                action: 'addLiquidity',
+                accounts: { user: 0, pool: 2 }
+            },
+            b712469c946da122: {
+                name: 'withdraw',
+                action: 'removeLiquidity',
+                accounts: { user: 0, pool: 2 }
+            },
+            afaf6d1f0d989bed: {
+                name: 'initialize',
+                action: 'createPool',
+                accounts: { user: 0, pool: 3, mintA: 4, mintB: 5 }
+            }
+        }
+    },
+    [PROGRAM_IDS.ORCA_WHIRLPOOL]: {
+        protocol: 'orca-whirlpool',
+        instructions: {
+            f8c69e91e17587c8: { name: 'swap', action: 'swap', accounts: { user: 1, pool: 2 } },
+            '2b04ed0b1ac91e62': {
+                name: 'swapV2',
+                action: 'swap',
+                accounts: { user: 3, pool: 4, mintA: 5, mintB: 6 }
+            },
+            c360ed6c44a2dbe6: {
+                name: 'twoHopSwap',
+                action: 'swap',
+                accounts: { user: 1, pool: 2, secondPool: 3 }
+            },
+            ba8fd11dfe02c275: {
+                name: 'twoHopSwapV2',
+                action: 'swap',
+                accounts: { pool: 0, secondPool: 1 }
+            },
+            '87802f4d0f98f031': {
+                name: 'openPosition',
+                action: 'openPosition',
+                accounts: { user: 1, pool: 5 }
+            },
+            '2e9cf3760dcdfbb2': {
+                name: 'increaseLiquidity',
+                action: 'addLiquidity',
+                accounts: WHIRLPOOL_LIQUIDITY_ACCOUNTS
+            },
+            a026d06f685b2c01: {
+                name: 'decreaseLiquidity',
+                action: 'removeLiquidity',
+                accounts: WHIRLPOOL_LIQUIDITY_ACCOUNTS
+            },
+            '5fb40aac54aee828': {
+                name: 'initializePool',
+                action: 'createPool',
+                accounts: { mintA: 1, mintB: 2, user: 3, pool: 4 }
+            }
+        }
+    },
+    [PROGRAM_IDS.METEORA_DLMM]: {
+        protocol: 'meteora-dlmm',
+        instructions: {
+            f8c69e91e17587c8: { name: 'swap', action: 'swap', accounts: DLMM_SWAP_ACCOUNTS },
+            fa49652126cf4bb8: {
+                name: 'swapExactOut',
+                action: 'swap',
+                accounts: DLMM_SWAP_ACCOUNTS
+            },
+            '38ade6d0ade49ccd': {
+                name: 'swapWithPriceImpact',
+                action: 'swap',
+                accounts: DLMM_SWAP_ACCOUNTS
+            },
+            b59d59438fb63448: {
+                name: 'addLiquidity',
+                action: 'addLiquidity',
+                accounts: DLMM_LIQUIDITY_ACCOUNTS
+            },
+            '0703967f94283dc8': {
+                name: 'addLiquidityByStrategy',
+                action: 'addLiquidity',
+                accounts: DLMM_LIQUIDITY_ACCOUNTS
+            },
+            '5055d14818ceb16c': {
+                name: 'removeLiquidity',
+                action: 'removeLiquidity',
+                accounts: DLMM_LIQUIDITY_ACCOUNTS
+            },
+            '2d9aedd2dd0fa65c': {
+                name: 'initializeLbPair',
+                action: 'createPool',
+                accounts: { pool: 0, mintX: 2, mintY: 3 }
+            }
+        }
+    },
+    [PROGRAM_IDS.PUMP_FUN]: {
+        protocol: 'pump-fun',
+        instructions: {
+            '181ec828051c0777': {
+                name: 'create',
+                action: 'createToken',
+                accounts: { mint: 0, bondingCurve: 2, user: 7 }
+            },
+            '66063d1201daebea': { name: 'buy', action: 'buy', accounts: PUMP_TRADE_ACCOUNTS },
+            '33e685a4017f83ad': { name: 'sell', action: 'sell', accounts: PUMP_TRADE_ACCOUNTS },
+            b712469c946da122: {
+                name: 'withdraw',
+                action: 'migrate',
+                accounts: { mint: 2, bondingCurve: 3 }
+            }
+        }
+    }
+};
+
+// Native programs keyed by the first byte of instruction data
+const INDEXED_PROGRAMS = {
+    [PROGRAM_IDS.RAYDIUM_AMM]: {
+        protocol: 'raydium-amm',
+        instructions: {
+            1: {
+                name: 'initialize2',
+                action: 'createPool',
+                accounts: { pool: 4, mintA: 8, mintB: 9, user: 17 }
+            },
+            3: { name: 'deposit', action: 'addLiquidity', accounts: { pool: 1, user: -3 } },
+            4: { name: 'withdraw', action: 'removeLiquidity', accounts: { pool: 1, user: -1 } },
+            // The OpenBook accounts are optional, so the user accounts are found from the end
+            9: {
+                name: 'swapBaseIn',
+                action: 'swap',
+                accounts: { pool: 1, source: -3, destination: -2, user: -1 }
+            },
+            11: {
+                name: 'swapBaseOut',
+                action: 'swap',
+                accounts: { pool: 1, source: -3, destination: -2, user: -1 }
+            }
+        }
+    },
+    [PROGRAM_IDS.PHOENIX]: {
+        protocol: 'phoenix',
+        instructions: {
+            0: { name: 'swap', action: 'swap', accounts: PHOENIX_ACCOUNTS },
+            1: { name: 'swapWithFreeFunds', action: 'swap', accounts: PHOENIX_ACCOUNTS },
+            2: { name: 'placeLimitOrder', action: 'placeOrder', accounts: PHOENIX_ACCOUNTS },
+            3: {
+                name: 'placeLimitOrderWithFreeFunds',
+                action: 'placeOrder',
+                accounts: PHOENIX_ACCOUNTS
+            },
+            4: { name: 'reduceOrder', action: 'cancelOrder', accounts: PHOENIX_ACCOUNTS },
+            5: {
+                name: 'reduceOrderWithFreeFunds',
+                action: 'cancelOrder',
+                accounts: PHOENIX_ACCOUNTS
+            },
+            6: { name: 'cancelAllOrders', action: 'cancelOrder', accounts: PHOENIX_ACCOUNTS },
+            7: {
+                name: 'cancelAllOrdersWithFreeFunds',
+                action: 'cancelOrder',
+                accounts: PHOENIX_ACCOUNTS
+            },
+            8: { name: 'cancelUpTo', action: 'cancelOrder', accounts: PHOENIX_ACCOUNTS },
+            9: {
+                name: 'cancelUpToWithFreeFunds',
+                action: 'cancelOrder',
+                accounts: PHOENIX_ACCOUNTS
+            },
+            10: {
+                name: 'cancelMultipleOrdersById',
+                action: 'cancelOrder',
+                accounts: PHOENIX_ACCOUNTS
+            },
+            11: {
+                name: 'cancelMultipleOrdersByIdWithFreeFunds',
+                action: 'cancelOrder',
+                accounts: PHOENIX_ACCOUNTS
+            },
+            12: { name: 'withdrawFunds', action: 'withdraw', accounts: PHOENIX_ACCOUNTS },
+            13: { name: 'depositFunds', action: 'deposit', accounts: PHOENIX_ACCOUNTS },
+            16: {
+                name: 'placeMultiplePostOnlyOrders',
+                action: 'placeOrder',
+                accounts: PHOENIX_ACCOUNTS
+            },
+            17: {
+                name: 'placeMultiplePostOnlyOrdersWithFreeFunds',
+                action: 'placeOrder',
+                accounts: PHOENIX_ACCOUNTS
+            }
+        }
+    }
+};
+
+/**
+ * Pick named accounts out of an instruction's account list
+ * @param {Array<string>} accounts - Instruction accounts
+ * @param {Object} positions - Role -> index, negative from the end
+ * @returns {Object} Role -> address, roles past the end left out
+ */
+function pickAccounts(accounts, positions) {
+    const picked = {};
+
+    for (const [role, position] of Object.entries(positions)) {
+        const address = accounts[position < 0 ? accounts.length + position : position];
+        if (address) {
+            picked[role] = address;
+        }
+    }
+
+    return picked;
+}
+
+/**
+ * Build a decoder from a program table
+ * @param {Object} program - { protocol, instructions }
+ * @param {Function} getKey - (data) => instruction table key
+ * @returns {Function} Decoder (instruction, data) => label or null
+ */
+function createTableDecoder(program, getKey) {
+    return (instruction, data) => {
+        const definition = program.instructions[getKey(data)];
+        if (!definition) {
+            return null;
+        }
+
+        return {
+            protocol: program.protocol,
+            action: definition.action,
+            name: definition.name,
+            accounts: pickAccounts(instruction.accounts || [], definition.accounts)
+        };
+    };
+}
+
+/**
+ * Read the 8-byte Anchor discriminator as hex
+ * @param {Uint8Array} data - Instruction data
+ * @returns {string} Discriminator
+ */
+function getDiscriminator(data) {
+    return Array.from(data.subarray(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Built-in decoders keyed by program ID
+ * @returns {Map<string, Function>} Program ID -> decoder
+ */
+export function createBuiltinDecoders() {
+    const decoders = new Map();
+
+    for (const [programId, program] of Object.entries(ANCHOR_PROGRAMS)) {
+        decoders.set(programId, createTableDecoder(program, getDiscriminator));
+    }
+
+    for (const [programId, program] of Object.entries(INDEXED_PROGRAMS)) {
+        decoders.set(programId, createTableDecoder(program, data => data[0]));
+    }
+
+    return decoders;
+}
@@ -0,0 +1,284 @@
+/**
+ * Filter Rule
+ * A serializable rule language for TransactionFilter. A rule is a field
+ * comparison or an all/any/not group of rules, written as plain JSON:
+ *
+ *   { "all": [
+ *       { "field": "type", "op": "eq", "value": "swap" },
+ *       { "field": "amount", "op": "gte", "value": 5000 },
+ *       { "field": "protocols", "op": "matches", "value": "^raydium" },
+ *       { "field": "walletLabels", "op": "eq", "value": "smart" }
+ *   ] }
+ *
+ * Fields are dot paths into the normalized transaction. A path that crosses
+ * an array (`wallets.direction`, `tags`) yields every element, and a
+ * comparison holds when any of them satisfies it; `ne` and `nin` hold when
+ * none equals the value.
+ */
+
+import { compareAmounts } from '../utils/token-amount.js';
+
+const NUMERIC_PATTERN = /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+const GROUP_KEYS = ['all', 'any', 'not'];
+const COMPARISON_KEYS = ['field', 'op', 'value', 'flags'];
+
+/**
+ * Check whether a value can be compared as a number
+ * @param {*} value - Value
+ * @returns {boolean} Is numeric
+ */
+function isNumeric(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value);
+    }
+    return typeof value === 'bigint' || (typeof value === 'string' && NUMERIC_PATTERN.test(value));
+}
+
+/**
+ * Compare a field value with a rule value; amounts compare exactly, so
+ * '1.50' equals 1.5 when either side is a number
+ * @param {*} actual - Field value
+ * @param {*} expected - Rule value
+ * @returns {boolean} Equal
+ */
+function isEqual(actual, expected) {
+    if (actual === expected) {
+        return true;
+    }
+
+    const numeric = typeof actual !== 'string' || typeof expected !== 'string';
+    return numeric && isNumeric(actual) && isNumeric(expected) &&
+        compareAmounts(actual, expected) === 0;
+}
+
+/**
+ * Build the test of an ordering operator
+ * @param {Function} accept - (sign) => boolean, sign from compareAmounts
+ * @returns {Function} (values, rule) => boolean
+ */
+function ordering(accept) {
+    return (values, rule) => values.some(value =>
+        isNumeric(value) && accept(compareAmounts(value, rule.value))
+    );
+}
+
+// Operator -> { check of the rule value, what it expects, test of the field values }
+const OPERATORS = {
+    eq: {
+        validate: value => value === null || typeof value !== 'object',
+        expects: 'a string, number, boolean or null',
+        test: (values, rule) => values.some(value => isEqual(value, rule.value))
+    },
+    ne: {
+        validate: value => value === null || typeof value !== 'object',
+        expects: 'a string, number, boolean or null',
+        test: (values, rule) => !values.some(value => isEqual(value, rule.value))
+    },
+    gt: { validate: isNumeric, expects: 'a number', test: ordering(sign => sign > 0) },
+    gte: { validate: isNumeric, expects: 'a number', test: ordering(sign => sign >= 0) },
+    lt: { validate: isNumeric, expects: 'a number', test: ordering(sign => sign < 0) },
+    lte: { validate: isNumeric, expects: 'a number', test: ordering(sign => sign <= 0) },
+    in: {
+        validate: value => Array.isArray(value),
+        expects: 'an array',
+        test: (values, rule) =>
+            values.some(value => rule.value.some(candidate => isEqual(value, candidate)))
+    },
+    nin: {
+        validate: value => Array.isArray(value),
+        expects: 'an array',
+        test: (values, rule) =>
+            !values.some(value => rule.value.some(candidate => isEqual(value, candidate)))
+    },
+    contains: {
+        validate: value => typeof value === 'string',
+        expects: 'a string',
+        test: (values, rule) =>
+            values.some(value => typeof value === 'string' && value.includes(rule.value))
+    },
+    matches: {
+        validate: value => typeof value === 'string',
+        expects: 'a regular expression string',
+        test: (values, rule, pattern) =>
+            values.some(value => typeof value === 'string' && pattern.test(value))
+    },
+    exists: {
+        validate: value => value === undefined || typeof value === 'boolean',
+        expects: 'a boolean',
+        test: (values, rule) => (values.length > 0) === (rule.value !== false)
+    }
+};
+
+export const RULE_OPERATORS = Object.keys(OPERATORS);
+
+/**
+ * Read every value at a dot path, stepping into arrays along the way
+ * @param {Object} root - Object to read
+ * @param {string} field - Dot path
+ * @returns {Array<*>} Values, without undefined and null
+ */
+export function getFieldValues(root, field) {
+    let values = [root];
+
+    for (const key of field.split('.')) {
+        const next = [];
+        for (const value of values) {
+            if (Array.isArray(value) && !/^\d+$/.test(key)) {
+                value.forEach(item => next.push(item?.[key]));
+            } else {
+                next.push(value?.[key]);
+            }
+        }
+        values = next;
+    }
+
+    return values
+        .flatMap(value => (Array.isArray(value) ? value : [value]))
+        .filter(value => value !== undefined && value !== null);
+}
+
+export class FilterRule {
+    /**
+     * @param {Object|string} source - Rule object, or its JSON text
+     * @throws {Error} When the source is not valid JSON or not a valid rule; the
+     *   message lists every problem with its path, and `errors` holds them
+     */
+    constructor(source) {
+        this.definition = typeof source === 'string' ? FilterRule.parseJSON(source) : source;
+        this.fields = new Set(); // dot paths the rule reads
+
+        const errors = [];
+        this.test = this.compile(this.definition, 'rule', errors);
+
+        if (errors.length > 0) {
+            const error = new Error(`Invalid filter rule: ${errors.join('; ')}`);
+            error.errors = errors;
+            throw error;
+        }
+    }
+
+    /**
+     * Parse rule JSON
+     * @param {string} text - JSON text
+     * @returns {Object} Rule object
+     */
+    static parseJSON(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            const invalid = new Error(`Invalid filter rule: not valid JSON (${error.message})`);
+            invalid.errors = [invalid.message];
+            throw invalid;
+        }
+    }
+
+    /**
+     * Validate a rule node and build its predicate
+     * @param {*} node - Rule node
+     * @param {string} path - Where the node sits, for error messages
+     * @param {Array<string>} errors - Problems found so far, updated in place
+     * @returns {Function} (subject) => boolean
+     */
+    compile(node, path, errors) {
+        const never = () => false;
+
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            errors.push(`${path}: expected a rule object`);
+            return never;
+        }
+
+        const keys = Object.keys(node);
+        const groups = keys.filter(key => GROUP_KEYS.includes(key));
+
+        if (groups.length > 1 || (groups.length === 1 && keys.length > 1)) {
+            errors.push(`${path}: a group takes exactly one of ${GROUP_KEYS.join(', ')}`);
+            return never;
+        }
+
+        if (node.not !== undefined) {
+            const inner = this.compile(node.not, `${path}.not`, errors);
+            return subject => !inner(subject);
+        }
+
+        for (const key of ['all', 'any']) {
+            if (node[key] === undefined) {
+                continue;
+            }
+            if (!Array.isArray(node[key]) || node[key].length === 0) {
+                errors.push(`${path}.${key}: expected a non-empty array of rules`);
+                return never;
+            }
+
+            const rules = node[key].map((rule, index) =>
+                this.compile(rule, `${path}.${key}[${index}]`, errors)
+            );
+            return key === 'all'
+                ? subject => rules.every(rule => rule(subject))
+                : subject => rules.some(rule => rule(subject));
+        }
+
+        return this.compileComparison(node, path, errors) || never;
+    }
+
+    /**
+     * Validate a field comparison and build its predicate
+     * @param {Object} node - { field, op, value, flags }
+     * @param {string} path - Where the node sits
+     * @param {Array<string>} errors - Problems found so far, updated in place
+     * @returns {Function|null} (subject) => boolean, null when invalid
+     */
+    compileComparison(node, path, errors) {
+        const count = errors.length;
+
+        Object.keys(node)
+            .filter(key => !COMPARISON_KEYS.includes(key))
+            .forEach(key => errors.push(`${path}: unknown key '${key}'`));
+
+        if (typeof node.field !== 'string' || node.field === '') {
+            errors.push(`${path}.field: expected a dot path such as 'swap.side'`);
+        }
+
+        // Own keys only, so 'constructor' or 'toString' is an unknown operator
+        const operator = Object.prototype.hasOwnProperty.call(OPERATORS, node.op)
+            ? OPERATORS[node.op]
+            : null;
+        if (!operator) {
+            const problem = node.op === undefined ? 'missing' : `unknown operator '${node.op}'`;
+            errors.push(`${path}.op: ${problem}, expected one of ${RULE_OPERATORS.join(', ')}`);
+        } else if (!operator.validate(node.value)) {
+            errors.push(`${path}.value: '${node.op}' expects ${operator.expects}`);
+        }
+
+        let pattern = null;
+        if (node.op === 'matches' && typeof node.value === 'string') {
+            // Both make test() resume from the last match, so results would depend
+            // on the transactions tested before
+            if (/[gy]/.test(node.flags || '')) {
+                errors.push(`${path}.flags: 'g' and 'y' are not allowed`);
+            }
+            try {
+                pattern = new RegExp(node.value, node.flags || '');
+            } catch (error) {
+                errors.push(`${path}.value: ${error.message}`);
+            }
+        } else if (node.flags !== undefined) {
+            errors.push(`${path}.flags: only 'matches' takes flags`);
+        }
+
+        if (errors.length > count) {
+            return null;
+        }
+
+        this.fields.add(node.field);
+        return subject => operator.test(getFieldValues(subject, node.field), node, pattern);
+    }
+
+    /**
+     * Get the rule as JSON-serializable data
+     * @returns {Object} Rule object
+     */
+    toJSON() {
+        return this.definition;
+    }
+}
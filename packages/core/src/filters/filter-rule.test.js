@@ -0,0 +1,106 @@
+import { FilterRule, getFieldValues } from './filter-rule.js';
+
+const transaction = {
+    type: 'swap',
+    amount: '1234.500000001',
+    fee: '0.50',
+    protocols: ['raydium-amm', 'jupiter'],
+    wallets: [
+        { walletAddress: 'A', direction: 'out', labels: ['smart'] },
+        { walletAddress: 'B', direction: 'in', labels: [] }
+    ],
+    swap: { side: 'buy' },
+    memo: null
+};
+
+const check = rule => new FilterRule(rule).test(transaction);
+
+describe('FilterRule', () => {
+    test('compares decimal strings with numbers exactly and strings literally', () => {
+        expect(check({ field: 'type', op: 'eq', value: 'swap' })).toBe(true);
+        expect(check({ field: 'fee', op: 'eq', value: 0.5 })).toBe(true);
+        expect(check({ field: 'fee', op: 'eq', value: '0.5' })).toBe(false);
+        expect(check({ field: 'amount', op: 'eq', value: 1234.5 })).toBe(false);
+        expect(check({ field: 'type', op: 'ne', value: 'transfer' })).toBe(true);
+    });
+
+    test('orders amounts without float rounding', () => {
+        expect(check({ field: 'amount', op: 'gt', value: 1234.5 })).toBe(true);
+        expect(check({ field: 'amount', op: 'gte', value: '1234.500000001' })).toBe(true);
+        expect(check({ field: 'amount', op: 'lt', value: '1234.500000002' })).toBe(true);
+        expect(check({ field: 'amount', op: 'lte', value: 1234 })).toBe(false);
+        expect(check({ field: 'type', op: 'gt', value: 0 })).toBe(false);
+    });
+
+    test('matches any element of arrays along the path, and none for ne and nin', () => {
+        expect(getFieldValues(transaction, 'wallets.direction')).toEqual(['out', 'in']);
+        expect(check({ field: 'wallets.direction', op: 'eq', value: 'in' })).toBe(true);
+        expect(check({ field: 'wallets.labels', op: 'in', value: ['smart', 'whale'] })).toBe(true);
+        expect(check({ field: 'wallets.direction', op: 'ne', value: 'in' })).toBe(false);
+        expect(check({ field: 'protocols', op: 'nin', value: ['orca'] })).toBe(true);
+    });
+
+    test('checks substrings, patterns and presence', () => {
+        expect(check({ field: 'protocols', op: 'contains', value: 'amm' })).toBe(true);
+        expect(check({ field: 'protocols', op: 'matches', value: '^JUP', flags: 'i' })).toBe(true);
+        expect(check({ field: 'swap.side', op: 'exists' })).toBe(true);
+        expect(check({ field: 'memo', op: 'exists', value: false })).toBe(true);
+    });
+
+    test('combines rules with all, any and not', () => {
+        expect(check({
+            all: [
+                { field: 'type', op: 'eq', value: 'swap' },
+                { any: [
+                    { field: 'swap.side', op: 'eq', value: 'sell' },
+                    { not: { field: 'amount', op: 'lt', value: 1000 } }
+                ] }
+            ]
+        })).toBe(true);
+    });
+
+    test('gives the same answer every time a pattern is tested', () => {
+        const rule = new FilterRule({ field: 'type', op: 'matches', value: 'swap', flags: 'i' });
+
+        expect([1, 2, 3].map(() => rule.test(transaction))).toEqual([true, true, true]);
+    });
+
+    test('rejects the g and y flags, which make patterns stateful', () => {
+        for (const flags of ['g', 'iy']) {
+            expect(() => new FilterRule({ field: 'type', op: 'matches', value: 'swap', flags }))
+                .toThrow('rule.flags: \'g\' and \'y\' are not allowed');
+        }
+    });
+
+    test('lists every problem with its path', () => {
+        let error;
+        try {
+            new FilterRule({
+                all: [
+                    { field: 'amount', op: 'gte', value: 'lots' },
+                    { field: 'type', op: 'toString', value: 'swap' },
+                    { field: 'type', op: 'eq', value: 'swap', flags: 'i' },
+                    { any: [] }
+                ]
+            });
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error.errors).toEqual([
+            'rule.all[0].value: \'gte\' expects a number',
+            expect.stringContaining('rule.all[1].op: unknown operator \'toString\''),
+            'rule.all[2].flags: only \'matches\' takes flags',
+            'rule.all[3].any: expected a non-empty array of rules'
+        ]);
+    });
+
+    test('parses JSON text and serializes back to it', () => {
+        const rule = new FilterRule('{ "field": "swap.side", "op": "eq", "value": "buy" }');
+
+        expect(rule.test(transaction)).toBe(true);
+        expect(rule.fields).toEqual(new Set(['swap.side']));
+        expect(JSON.stringify(rule)).toBe('{"field":"swap.side","op":"eq","value":"buy"}');
+        expect(() => new FilterRule('{ field: ')).toThrow('not valid JSON');
+    });
+});
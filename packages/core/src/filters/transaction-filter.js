@@ -4,6 +4,124 @@
  */
 
 import { Logger } from '../utils/logger.js';
+import { PROGRAM_IDS } from '../decoders/program-decoders.js';
+import { matchesType, TRANSACTION_TYPES } from '../services/transaction-classifier.js';
+import { flattenInstructions } from '../utils/instruction-tree.js';
+import { absAmount, compareAmounts, formatUnits } from '../utils/token-amount.js';
+import { validateNumber, validateTransactionType } from '../utils/validators.js';
+import { FilterRule } from './filter-rule.js';
+
+// Filters in the order they run; a decision names the first that rejects
+export const FILTER_STEPS = ['age', 'spam', 'amount', 'program', 'address', 'type', 'rule'];
+
+// Limits checked once the transaction carries token data and its USD value;
+// `read` finds the value, null or undefined when unknown
+const ENRICHED_THRESHOLDS = [
+    {
+        step: 'usdValue',
+        min: 'minUsdValue',
+        max: 'maxUsdValue',
+        read: transaction => transaction.usdValue
+    },
+    {
+        step: 'marketCap',
+        min: 'minMarketCap',
+        max: 'maxMarketCap',
+        read: transaction => transaction.tokenData?.marketCap
+    },
+    {
+        step: 'liquidity',
+        min: 'minLiquidity',
+        max: 'maxLiquidity',
+        read: transaction => transaction.tokenData?.liquidity
+    },
+    {
+        step: 'volume24h',
+        min: 'minVolume24h',
+        max: 'maxVolume24h',
+        read: transaction => transaction.tokenData?.volume24h
+    },
+    {
+        step: 'tokenAge',
+        min: 'minTokenAge',
+        max: 'maxTokenAge',
+        read: transaction => transaction.tokenAge
+    }
+];
+
+// Filters of the second stage, run after enrichment; spam is checked again
+// because the score may have risen once the received tokens' data is known
+export const ENRICHED_FILTER_STEPS = [
+    'spam',
+    ...ENRICHED_THRESHOLDS.map(({ step }) => step),
+    'enrichedRule'
+];
+
+// Stage -> its filters
+const STAGE_STEPS = { pre: FILTER_STEPS, enriched: ENRICHED_FILTER_STEPS };
+
+// Rule options -> where their compiled rule is kept
+const RULE_OPTIONS = { rules: 'rule', enrichedRules: 'enrichedRule' };
+
+/**
+ * Check whether an optional limit is set
+ * @param {*} value - Option value
+ * @returns {boolean} Set
+ */
+function isSet(value) {
+    return value !== undefined && value !== null;
+}
+
+/**
+ * Check whether a value is a non-negative amount, as a number or decimal string
+ * @param {*} value - Value
+ * @returns {boolean} Valid amount
+ */
+function isAmount(value) {
+    try {
+        return compareAmounts(value, 0) >= 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Create empty pass and reject counters for one stage
+ * @param {Array<string>} steps - The stage's filters
+ * @returns {Object} Counters
+ */
+function createCounters(steps) {
+    return {
+        evaluated: 0,
+        included: 0,
+        rejected: 0,
+        rules: Object.fromEntries(steps.map(step => [step, { passed: 0, rejected: 0 }])),
+        wallets: new Map() // wallet address -> { passed, rejected, rejectedBy }
+    };
+}
+
+/**
+ * @typedef {Object} FilterDecision
+ * @property {boolean} include - Whether to keep the transaction
+ * @property {string|null} reason - Filter of FILTER_STEPS or ENRICHED_FILTER_STEPS that
+ *   rejected it, null when kept
+ * @property {string|null} message - What that filter found, null when kept
+ * @property {string|null} walletAddress - Wallet whose profile decided, null for none
+ * @property {Array<Object>} wallets - { walletAddress, include, reason, message } per
+ *   wallet the transaction touches
+ */
+
+// Named profiles for addWallet, for wallets whose usual size or activity differs
+export const FILTER_PRESETS = {
+    // Every transaction, however small
+    unfiltered: { enableFiltering: false },
+    // Swaps only, down to dust-sized buys
+    sniper: { minAmount: 0.000001, includeTypes: ['swap'] },
+    // Only movements of at least 100 tokens or SOL
+    whale: { minAmount: 100 },
+    // Trades and liquidity changes, no transfers
+    trader: { includeTypes: ['swap', 'lp'] }
+};
 
 export class TransactionFilter {
     constructor(options = {}) {
@@ -11,23 +129,51 @@ export class TransactionFilter {
             enableFiltering: options.enableFiltering !== false,
             minAmount: options.minAmount || 0.001,
             maxAge: options.maxAge || 86400000, // 24 hours
+            includeTypes: options.includeTypes || null, // types or tags to keep, null for all
+            excludeTypes: options.excludeTypes || [],
+            rules: options.rules || null, // FilterRule definition, object or JSON text
+            walletLabels: options.walletLabels || {}, // wallet address -> labels for rules
+            presets: options.presets || {}, // name -> profile, added to FILTER_PRESETS
+            hideSpam: options.hideSpam || false,
+            spamThreshold: options.spamThreshold || 0.5, // spamScore from which to hide
+            // After enrichment: USD value, token market data and age in ms, null for no limit
+            minUsdValue: options.minUsdValue || null,
+            maxUsdValue: options.maxUsdValue || null,
+            minMarketCap: options.minMarketCap || null,
+            maxMarketCap: options.maxMarketCap || null,
+            minLiquidity: options.minLiquidity || null,
+            maxLiquidity: options.maxLiquidity || null,
+            minVolume24h: options.minVolume24h || null,
+            maxVolume24h: options.maxVolume24h || null,
+            minTokenAge: options.minTokenAge || null,
+            maxTokenAge: options.maxTokenAge || null,
+            // Let values a set limit cannot check pass instead of failing
+            passUnknownValues: options.passUnknownValues || false,
+            enrichedRules: options.enrichedRules || null, // FilterRule run after enrichment
             ...options
         };
 
+        // wallet address -> { options, rule, enrichedRule }
+        this.walletProfiles = new Map();
+        this.resetCounters();
+
+        this.validateOptions(this.options);
+        const compiled = this.compileRuleOptions(this.options);
+        this.rule = compiled.rule || null;
+        this.enrichedRule = compiled.enrichedRule || null;
+        this.normalizeRuleOptions(this.options, compiled);
+
         // Filter rules
         this.blacklistAddresses = new Set([
             // Common system programs to filter out
             '11111111111111111111111111111112', // System Program
             'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', // Token Program
+            'TokenzQdBNbLqP5VvEd2jyTkRiD8TATo3bnq2kY7Hpb', // Token-2022 Program
             'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL', // Associated Token Program
         ]);
 
-        this.whitelistPrograms = new Set([
-            // DEX programs to include
-            '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM', // Serum DEX
-            'JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB',  // Jupiter
-            'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',  // Whirlpool
-        ]);
+        // DEX and launchpad programs to include: every venue with a built-in decoder
+        this.whitelistPrograms = new Set(Object.values(PROGRAM_IDS));
 
         this.logger = new Logger({ prefix: '[Filter]' });
     }
@@ -38,76 +184,389 @@ export class TransactionFilter {
      * @returns {boolean} Should include transaction
      */
     shouldInclude(transaction) {
-        if (!this.options.enableFiltering) {
-            return true;
+        return this.evaluate(transaction).include;
+    }
+
+    /**
+     * Check if an enriched transaction should be included
+     * @param {Object} transaction - Transaction with token data and USD value
+     * @returns {boolean} Should include transaction
+     */
+    shouldIncludeEnriched(transaction) {
+        return this.evaluate(transaction, 'enriched').include;
+    }
+
+    /**
+     * Decide whether to include a transaction and explain why not
+     * @param {Object} transaction - Transaction to filter
+     * @param {string} [stage] - 'pre' for the filters that need no token data,
+     *   'enriched' for those that run after enrichment
+     * @returns {FilterDecision} Decision
+     */
+    evaluate(transaction, stage = 'pre') {
+        const wallets = transaction.wallets || [];
+
+        // Program and mint watches may involve no tracked wallet; otherwise every
+        // wallet the transaction touches checks it under its own profile
+        const checks = wallets.length === 0
+            ? [this.check(transaction, null, stage)]
+            : wallets.map(wallet => this.check(
+                this.getWalletView(transaction, wallet),
+                wallet.walletAddress,
+                stage
+            ));
+
+        // Kept when any wallet wants it; otherwise the primary wallet's reason stands
+        const decisive = checks.find(check => check.include) || checks[0];
+
+        const counters = this.counters[stage];
+        counters.evaluated++;
+        counters[decisive.include ? 'included' : 'rejected']++;
+
+        return {
+            include: decisive.include,
+            reason: decisive.reason,
+            message: decisive.message,
+            walletAddress: decisive.walletAddress,
+            wallets: checks
+        };
+    }
+
+    /**
+     * Run the filter chain for one wallet and count the outcome
+     * @param {Object} transaction - Transaction, or one wallet's view of it
+     * @param {string|null} walletAddress - Wallet whose profile applies, null for none
+     * @param {string} stage - 'pre' or 'enriched'
+     * @returns {Object} { walletAddress, include, reason, message }
+     */
+    check(transaction, walletAddress, stage) {
+        const profile = this.resolveProfile(walletAddress);
+        const reason = stage === 'enriched'
+            ? this.getEnrichedRejection(transaction, profile)
+            : this.getRejection(transaction, profile);
+
+        this.countCheck(stage, walletAddress, profile.options, reason);
+
+        return {
+            walletAddress,
+            include: reason === null,
+            reason,
+            message: reason ? this.describeRejection(reason, transaction, profile.options) : null
+        };
+    }
+
+    /**
+     * Run the filter chain with one profile's options
+     * @param {Object} transaction - Transaction to filter
+     * @param {Object} profile - { options, rule } from resolveProfile
+     * @returns {string|null} First filter of FILTER_STEPS that rejects it, null when it passes
+     */
+    getRejection(transaction, { options, rule }) {
+        if (!options.enableFiltering) {
+            return null;
         }
 
         // Filter by age
-        if (!this.passesAgeFilter(transaction)) {
-            return false;
+        if (!this.passesAgeFilter(transaction, options)) {
+            return 'age';
+        }
+
+        // Filter by spam score
+        if (!this.passesSpamFilter(transaction, options)) {
+            return 'spam';
         }
 
         // Filter by amount
-        if (!this.passesAmountFilter(transaction)) {
-            return false;
+        if (!this.passesAmountFilter(transaction, options)) {
+            return 'amount';
         }
 
         // Filter by program
         if (!this.passesProgramFilter(transaction)) {
-            return false;
+            return 'program';
         }
 
         // Filter by address blacklist
         if (!this.passesAddressFilter(transaction)) {
-            return false;
+            return 'address';
         }
 
         // Filter by transaction type
-        if (!this.passesTypeFilter(transaction)) {
-            return false;
+        if (!this.passesTypeFilter(transaction, options)) {
+            return 'type';
+        }
+
+        // Filter by custom rules
+        if (!this.passesRuleFilter(transaction, rule)) {
+            return 'rule';
+        }
+
+        return null;
+    }
+
+    /**
+     * Run the filters that need token data with one profile's options
+     * @param {Object} transaction - Enriched transaction
+     * @param {Object} profile - { options, enrichedRule } from resolveProfile
+     * @returns {string|null} First filter of ENRICHED_FILTER_STEPS that rejects it,
+     *   null when it passes
+     */
+    getEnrichedRejection(transaction, { options, enrichedRule }) {
+        if (!options.enableFiltering) {
+            return null;
+        }
+
+        // Filter by the spam score taken after enrichment
+        if (!this.passesSpamFilter(transaction, options)) {
+            return 'spam';
+        }
+
+        // Filter by USD value, market data and token age
+        const threshold = ENRICHED_THRESHOLDS.find(candidate =>
+            !this.passesThreshold(transaction, candidate, options)
+        );
+        if (threshold) {
+            return threshold.step;
+        }
+
+        // Filter by custom rules over the enriched fields
+        if (!this.passesRuleFilter(transaction, enrichedRule)) {
+            return 'enrichedRule';
+        }
+
+        return null;
+    }
+
+    /**
+     * Explain a rejection in words
+     * @param {string} reason - Filter that rejected the transaction
+     * @param {Object} transaction - Transaction it rejected
+     * @param {Object} options - Filter options it ran with
+     * @returns {string} Explanation
+     */
+    describeRejection(reason, transaction, options) {
+        if (reason === 'type') {
+            return this.describeTypeRejection(transaction, options);
+        }
+
+        const threshold = ENRICHED_THRESHOLDS.find(({ step }) => step === reason);
+        if (threshold) {
+            return this.describeThresholdRejection(threshold, transaction, options);
+        }
+
+        const messages = {
+            age: `older than maxAge (${options.maxAge} ms)`,
+            spam: `spam score ${transaction.spamScore} from ` +
+                `${(transaction.spamSignals || []).join(', ')}`,
+            amount: `no token or SOL movement of at least ${options.minAmount}`,
+            program: 'no whitelisted program among its instructions',
+            address: 'only blacklisted accounts involved',
+            rule: 'does not match the filter rules',
+            enrichedRule: 'does not match the enriched filter rules'
+        };
+        return messages[reason];
+    }
+
+    /**
+     * Explain why a threshold of the enriched stage rejected a transaction
+     * @param {Object} threshold - Entry of ENRICHED_THRESHOLDS
+     * @param {Object} transaction - Transaction it rejected
+     * @param {Object} options - Filter options it ran with
+     * @returns {string} Explanation
+     */
+    describeThresholdRejection(threshold, transaction, options) {
+        const value = threshold.read(transaction);
+        const min = options[threshold.min];
+
+        if (!isSet(value)) {
+            return `${threshold.step} unknown with ` +
+                `${isSet(min) ? threshold.min : threshold.max} set`;
+        }
+
+        return isSet(min) && compareAmounts(value, min) < 0
+            ? `${threshold.step} ${value} is under ${threshold.min} ${min}`
+            : `${threshold.step} ${value} is over ${threshold.max} ${options[threshold.max]}`;
+    }
+
+    /**
+     * Explain why the type filter rejected a transaction
+     * @param {Object} transaction - Transaction it rejected
+     * @param {Object} options - Filter options it ran with
+     * @returns {string} Explanation
+     */
+    describeTypeRejection(transaction, options) {
+        if (transaction.status !== 'success') {
+            return `status is ${transaction.status}`;
+        }
+
+        const { includeTypes, excludeTypes } = options;
+        const excluded = excludeTypes.find(type => matchesType(transaction, type));
+        if (excluded) {
+            return `matches excluded type '${excluded}'`;
+        }
+        if (includeTypes && !includeTypes.some(type => matchesType(transaction, type))) {
+            return `type '${transaction.type}' is not in includeTypes`;
+        }
+
+        return 'no token or SOL movement';
+    }
+
+    /**
+     * Add one filter chain run to the pass and reject counters
+     * @param {string} stage - 'pre' or 'enriched'
+     * @param {string|null} walletAddress - Wallet whose profile applied
+     * @param {Object} options - Filter options it ran with
+     * @param {string|null} reason - Rejecting filter, null when it passed
+     */
+    countCheck(stage, walletAddress, options, reason) {
+        const counters = this.counters[stage];
+        const steps = STAGE_STEPS[stage];
+
+        // With filtering off no filter ran
+        if (options.enableFiltering) {
+            const reached = reason ? steps.indexOf(reason) + 1 : steps.length;
+            steps.slice(0, reached).forEach(step => {
+                counters.rules[step][step === reason ? 'rejected' : 'passed']++;
+            });
+        }
+
+        if (!walletAddress) {
+            return;
+        }
+
+        if (!counters.wallets.has(walletAddress)) {
+            counters.wallets.set(walletAddress, { passed: 0, rejected: 0, rejectedBy: {} });
+        }
+
+        const walletCounters = counters.wallets.get(walletAddress);
+        if (reason) {
+            walletCounters.rejected++;
+            walletCounters.rejectedBy[reason] = (walletCounters.rejectedBy[reason] || 0) + 1;
+        } else {
+            walletCounters.passed++;
         }
+    }
+
+    /**
+     * Get the pass and reject counters
+     * @returns {Object} { evaluated, included, rejected, rules, wallets } of the first
+     *   stage, and the same for the second under `enriched`: `rules` maps each filter
+     *   to { passed, rejected }, `wallets` each wallet to { passed, rejected, rejectedBy }
+     */
+    getCounters() {
+        return {
+            ...this.copyCounters(this.counters.pre),
+            enriched: this.copyCounters(this.counters.enriched)
+        };
+    }
+
+    /**
+     * Copy one stage's counters into plain objects
+     * @param {Object} counters - Counters from createCounters
+     * @returns {Object} Copy
+     */
+    copyCounters(counters) {
+        return {
+            evaluated: counters.evaluated,
+            included: counters.included,
+            rejected: counters.rejected,
+            rules: Object.fromEntries(Object.entries(counters.rules)
+                .map(([step, counts]) => [step, { ...counts }])),
+            wallets: Object.fromEntries(Array.from(counters.wallets.entries())
+                .map(([walletAddress, counts]) => [
+                    walletAddress,
+                    { ...counts, rejectedBy: { ...counts.rejectedBy } }
+                ]))
+        };
+    }
 
-        return true;
+    /**
+     * Reset the pass and reject counters
+     */
+    resetCounters() {
+        this.counters = {
+            pre: createCounters(FILTER_STEPS),
+            enriched: createCounters(ENRICHED_FILTER_STEPS)
+        };
     }
 
     /**
      * Check if transaction passes age filter
      * @param {Object} transaction - Transaction to check
+     * @param {Object} [options] - Filter options, the global ones by default
      * @returns {boolean} Passes filter
      */
-    passesAgeFilter(transaction) {
+    passesAgeFilter(transaction, options = this.options) {
         if (!transaction.timestamp) {
             return true;
         }
 
         const age = Date.now() - transaction.timestamp;
-        return age <= this.options.maxAge;
+        return age <= options.maxAge;
+    }
+
+    /**
+     * Check if transaction passes spam filter
+     * @param {Object} transaction - Transaction to check
+     * @param {Object} [options] - Filter options, the global ones by default
+     * @returns {boolean} Passes filter
+     */
+    passesSpamFilter(transaction, options = this.options) {
+        // Unscored transactions count as clean
+        return !options.hideSpam || (transaction.spamScore || 0) < options.spamThreshold;
     }
 
     /**
      * Check if transaction passes amount filter
      * @param {Object} transaction - Transaction to check
+     * @param {Object} [options] - Filter options, the global ones by default
      * @returns {boolean} Passes filter
      */
-    passesAmountFilter(transaction) {
+    passesAmountFilter(transaction, options = this.options) {
+        // A wallet's view is checked on what that wallet itself moved
+        const wallets = transaction.wallets || [];
+        if (wallets.length > 0) {
+            return wallets.some(wallet => this.hasWalletMovement(wallet, options.minAmount));
+        }
+
         // Check token transfers for significant amounts
         if (transaction.tokenTransfers && transaction.tokenTransfers.length > 0) {
             return transaction.tokenTransfers.some(transfer => 
-                Math.abs(transfer.uiChange) >= this.options.minAmount
+                compareAmounts(absAmount(transfer.uiChange), options.minAmount) >= 0
             );
         }
 
         // Check SOL balance changes
         if (transaction.balanceChanges && transaction.balanceChanges.length > 0) {
             const solChange = transaction.balanceChanges.reduce((total, change) => 
-                total + Math.abs(change.change), 0
+                total + BigInt(Math.abs(change.change)), 0n
             );
-            return (solChange / 1e9) >= this.options.minAmount; // Convert lamports to SOL
+            const sol = formatUnits(solChange, 9); // Convert lamports to SOL
+            return compareAmounts(sol, options.minAmount) >= 0;
         }
 
         return true; // Include if no amount data
     }
 
+    /**
+     * Check whether a wallet moved at least an amount of a token or of SOL
+     * @param {Object} wallet - Wallet perspective
+     * @param {number|string} minAmount - Amount in UI units
+     * @returns {boolean} Moved enough
+     */
+    hasWalletMovement(wallet, minAmount) {
+        const tokenMoved = (wallet.tokenChanges || []).some(change =>
+            compareAmounts(absAmount(change.uiChange), minAmount) >= 0
+        );
+        if (tokenMoved) {
+            return true;
+        }
+
+        // Fee excluded, so paying for the transaction is not a movement
+        const sol = formatUnits(Math.abs(wallet.nativeChange || 0), 9); // Convert lamports to SOL
+        return compareAmounts(sol, minAmount) >= 0;
+    }
+
     /**
      * Check if transaction passes program filter
      * @param {Object} transaction - Transaction to check
@@ -118,8 +577,8 @@ export class TransactionFilter {
             return true;
         }
 
-        // Include if any instruction is from a whitelisted program
-        return transaction.instructions.some(instruction => 
+        // Include if any instruction is from a whitelisted program, CPI calls included
+        return flattenInstructions(transaction.instructions).some(instruction =>
             this.whitelistPrograms.has(instruction.programId)
         );
     }
@@ -135,8 +594,9 @@ export class TransactionFilter {
         }
 
         // Exclude if only blacklisted addresses are involved
-        const nonBlacklistedAccounts = transaction.accounts.filter(account => 
-            !this.blacklistAddresses.has(account)
+        // jsonParsed account keys are objects; backfilled or custom ones may be strings
+        const nonBlacklistedAccounts = transaction.accounts.filter(account =>
+            !this.blacklistAddresses.has(account.pubkey || account)
         );
 
         return nonBlacklistedAccounts.length > 0;
@@ -145,14 +605,23 @@ export class TransactionFilter {
     /**
      * Check if transaction passes type filter
      * @param {Object} transaction - Transaction to check
+     * @param {Object} [options] - Filter options, the global ones by default
      * @returns {boolean} Passes filter
      */
-    passesTypeFilter(transaction) {
+    passesTypeFilter(transaction, options = this.options) {
         // Include successful transactions
         if (transaction.status !== 'success') {
             return false;
         }
 
+        const { includeTypes, excludeTypes } = options;
+        if (excludeTypes.some(type => matchesType(transaction, type))) {
+            return false;
+        }
+        if (includeTypes && !includeTypes.some(type => matchesType(transaction, type))) {
+            return false;
+        }
+
         // Must have either token transfers or significant SOL changes
         const hasTokenTransfers = transaction.tokenTransfers && transaction.tokenTransfers.length > 0;
         const hasBalanceChanges = transaction.balanceChanges && transaction.balanceChanges.length > 0;
@@ -160,6 +629,274 @@ export class TransactionFilter {
         return hasTokenTransfers || hasBalanceChanges;
     }
 
+    /**
+     * Check if an enriched transaction is within one threshold's limits
+     * @param {Object} transaction - Enriched transaction
+     * @param {Object} threshold - Entry of ENRICHED_THRESHOLDS
+     * @param {Object} [options] - Filter options, the global ones by default
+     * @returns {boolean} Passes filter
+     */
+    passesThreshold(transaction, threshold, options = this.options) {
+        const value = threshold.read(transaction);
+        const min = options[threshold.min];
+        const max = options[threshold.max];
+
+        // An unknown value cannot be within a limit, unless unknown values are let through
+        if (!isSet(value)) {
+            return options.passUnknownValues || (!isSet(min) && !isSet(max));
+        }
+
+        return (!isSet(min) || compareAmounts(value, min) >= 0) &&
+            (!isSet(max) || compareAmounts(value, max) <= 0);
+    }
+
+    /**
+     * Check if transaction passes the custom rules
+     * @param {Object} transaction - Transaction to check
+     * @param {FilterRule|null} [rule] - Rule to apply, the global one by default
+     * @returns {boolean} Passes filter
+     */
+    passesRuleFilter(transaction, rule = this.rule) {
+        if (!rule) {
+            return true;
+        }
+
+        return rule.test({
+            ...transaction,
+            walletLabels: this.getWalletLabels(transaction)
+        });
+    }
+
+    /**
+     * Collect the labels of the tracked wallets a transaction involves
+     * @param {Object} transaction - Normalized transaction
+     * @returns {Array<string>} Distinct labels
+     */
+    getWalletLabels(transaction) {
+        const addresses = new Set([
+            transaction.walletAddress,
+            ...(transaction.wallets || []).map(wallet => wallet.walletAddress)
+        ]);
+
+        const labels = new Set();
+        for (const address of addresses) {
+            (this.options.walletLabels[address] || []).forEach(label => labels.add(label));
+        }
+
+        return Array.from(labels);
+    }
+
+    /**
+     * Describe a transaction from one wallet's point of view: the top-level
+     * fields and `wallets` hold only that wallet's perspective, with the token
+     * data, USD value and token age of that wallet's own token
+     * @param {Object} transaction - Normalized transaction
+     * @param {Object} wallet - One of its wallet perspectives
+     * @returns {Object} Shallow copy of the transaction
+     */
+    getWalletView(transaction, wallet) {
+        return {
+            ...transaction,
+            tokenData: wallet.tokenData,
+            usdValue: wallet.usdValue,
+            tokenCreatedAt: wallet.tokenCreatedAt,
+            tokenAge: wallet.tokenAge,
+            walletAddress: wallet.walletAddress,
+            tokenMint: wallet.tokenMint,
+            amount: wallet.amount,
+            direction: wallet.direction,
+            swap: wallet.swap,
+            counterparty: wallet.counterparty,
+            counterpartyLabel: wallet.counterpartyLabel,
+            wallets: [wallet]
+        };
+    }
+
+    /**
+     * Give a wallet its own filter options, overriding the global ones
+     * @param {string} walletAddress - Wallet address
+     * @param {Object|string} profile - Filter options such as minAmount, maxAge,
+     *   includeTypes, minUsdValue or rules, or the name of a preset
+     * @throws {Error} When the preset is unknown or the profile's options are invalid
+     */
+    setWalletProfile(walletAddress, profile) {
+        const options = this.getPreset(profile);
+        this.validateOptions(options);
+        const compiled = this.compileRuleOptions(options);
+
+        this.normalizeRuleOptions(options, compiled);
+        this.walletProfiles.set(walletAddress, { options, ...compiled });
+        this.logger.info(`Filter profile set for ${walletAddress}`, options);
+    }
+
+    /**
+     * Put a wallet back on the global filter options
+     * @param {string} walletAddress - Wallet address
+     */
+    removeWalletProfile(walletAddress) {
+        this.walletProfiles.delete(walletAddress);
+    }
+
+    /**
+     * Drop a wallet's profile and counters
+     * @param {string} walletAddress - Wallet address
+     */
+    forgetWallet(walletAddress) {
+        this.removeWalletProfile(walletAddress);
+        this.counters.pre.wallets.delete(walletAddress);
+        this.counters.enriched.wallets.delete(walletAddress);
+    }
+
+    /**
+     * Put every wallet back on the global filter options
+     */
+    clearWalletProfiles() {
+        this.walletProfiles.clear();
+    }
+
+    /**
+     * Get the options a wallet overrides
+     * @param {string} walletAddress - Wallet address
+     * @returns {Object|null} Profile options, null when the wallet uses the global ones
+     */
+    getWalletProfile(walletAddress) {
+        const profile = this.walletProfiles.get(walletAddress);
+        return profile ? { ...profile.options } : null;
+    }
+
+    /**
+     * Work out the options and rule that apply to a wallet
+     * @param {string|null} walletAddress - Wallet address, null for the global ones
+     * @returns {Object} { options, rule, enrichedRule }
+     */
+    resolveProfile(walletAddress) {
+        const profile = this.walletProfiles.get(walletAddress);
+        if (!profile) {
+            return { options: this.options, rule: this.rule, enrichedRule: this.enrichedRule };
+        }
+
+        return {
+            options: { ...this.options, ...profile.options },
+            rule: profile.rule !== undefined ? profile.rule : this.rule,
+            enrichedRule: profile.enrichedRule !== undefined
+                ? profile.enrichedRule
+                : this.enrichedRule
+        };
+    }
+
+    /**
+     * Look up a preset by name
+     * @param {Object|string} profile - Profile options, or a preset name
+     * @returns {Object} Copy of the profile options
+     * @throws {Error} When the preset is unknown
+     */
+    getPreset(profile) {
+        if (typeof profile !== 'string') {
+            return { ...profile };
+        }
+
+        const presets = { ...FILTER_PRESETS, ...this.options.presets };
+        if (!presets[profile]) {
+            throw new Error(`Unknown filter preset '${profile}', expected one of ` +
+                Object.keys(presets).join(', '));
+        }
+
+        return { ...presets[profile] };
+    }
+
+    /**
+     * Check whether any filter looks at token age, which costs a Birdeye call per mint
+     * @returns {boolean} Token age needed
+     */
+    needsTokenAge() {
+        const profiles = [
+            { options: this.options, enrichedRule: this.enrichedRule },
+            ...this.walletProfiles.values()
+        ];
+
+        return profiles.some(({ options, enrichedRule }) =>
+            isSet(options.minTokenAge) ||
+            isSet(options.maxTokenAge) ||
+            Boolean(enrichedRule && enrichedRule.fields.has('tokenAge'))
+        );
+    }
+
+    /**
+     * Check the type and amount options a set of options holds
+     * @param {Object} options - Filter options
+     * @throws {Error} When a type is unknown or a limit is not a valid amount
+     */
+    validateOptions(options) {
+        for (const name of ['includeTypes', 'excludeTypes']) {
+            const types = options[name];
+
+            // No includeTypes keeps every type
+            if (types === undefined || (types === null && name === 'includeTypes')) {
+                continue;
+            }
+
+            if (!Array.isArray(types)) {
+                throw new Error(`${name} must be an array of transaction types or tags`);
+            }
+
+            const unknown = types.filter(type =>
+                typeof type !== 'string' || !validateTransactionType(type)
+            );
+            if (unknown.length > 0) {
+                throw new Error(`Unknown transaction type in ${name}: ${unknown.join(', ')}, ` +
+                    `expected one of ${TRANSACTION_TYPES.join(', ')} or their tags`);
+            }
+        }
+
+        if (options.minAmount !== undefined && !isAmount(options.minAmount)) {
+            throw new Error(`minAmount must be a non-negative amount, got ${options.minAmount}`);
+        }
+
+        if (options.maxAge !== undefined &&
+            !(validateNumber(options.maxAge) && options.maxAge > 0)) {
+            throw new Error(`maxAge must be a positive number of ms, got ${options.maxAge}`);
+        }
+    }
+
+    /**
+     * Compile the rule options a set of options holds
+     * @param {Object} options - Filter options
+     * @returns {Object} { rule, enrichedRule }, each only when its option is present
+     * @throws {Error} When a rule is invalid
+     */
+    compileRuleOptions(options) {
+        const compiled = {};
+        for (const [option, name] of Object.entries(RULE_OPTIONS)) {
+            if (options[option] !== undefined) {
+                compiled[name] = this.compileRule(options[option]);
+            }
+        }
+        return compiled;
+    }
+
+    /**
+     * Store compiled rules as their parsed definitions, in place
+     * @param {Object} options - Filter options
+     * @param {Object} compiled - Rules from compileRuleOptions
+     */
+    normalizeRuleOptions(options, compiled) {
+        for (const [option, name] of Object.entries(RULE_OPTIONS)) {
+            if (compiled[name] !== undefined) {
+                options[option] = compiled[name] ? compiled[name].toJSON() : null;
+            }
+        }
+    }
+
+    /**
+     * Compile a rule definition
+     * @param {Object|string|null} rules - Rule object, its JSON text, or null for none
+     * @returns {FilterRule|null} Compiled rule
+     * @throws {Error} When the rule is invalid
+     */
+    compileRule(rules) {
+        return rules ? new FilterRule(rules) : null;
+    }
+
     /**
      * Add address to blacklist
      * @param {string} address - Address to blacklist
@@ -206,16 +943,39 @@ export class TransactionFilter {
             blacklistSize: this.blacklistAddresses.size,
             whitelistSize: this.whitelistPrograms.size,
             minAmount: this.options.minAmount,
-            maxAge: this.options.maxAge
+            maxAge: this.options.maxAge,
+            includeTypes: this.options.includeTypes,
+            excludeTypes: this.options.excludeTypes,
+            hideSpam: this.options.hideSpam,
+            spamThreshold: this.options.spamThreshold,
+            rules: this.options.rules,
+            ...Object.fromEntries(ENRICHED_THRESHOLDS.flatMap(({ min, max }) => [
+                [min, this.options[min]],
+                [max, this.options[max]]
+            ])),
+            passUnknownValues: this.options.passUnknownValues,
+            enrichedRules: this.options.enrichedRules,
+            walletLabels: this.options.walletLabels,
+            walletProfiles: Object.fromEntries(Array.from(this.walletProfiles.keys())
+                .map(walletAddress => [walletAddress, this.getWalletProfile(walletAddress)])),
+            counters: this.getCounters()
         };
     }
 
     /**
      * Update filter options
-     * @param {Object} newOptions - New filter options
+     * @param {Object} newOptions - New filter options; `rules` and `enrichedRules`
+     *   replace the current rules, null removes them
+     * @throws {Error} When a new option or rule is invalid; the current options stay in place
      */
     updateOptions(newOptions) {
+        // Check and compile before merging so invalid options leave the running ones untouched
+        this.validateOptions(newOptions);
+        const compiled = this.compileRuleOptions(newOptions);
+
         this.options = { ...this.options, ...newOptions };
+        Object.assign(this, compiled);
+        this.normalizeRuleOptions(this.options, compiled);
         this.logger.info('Filter options updated', this.options);
     }
 }
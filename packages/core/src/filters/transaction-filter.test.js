@@ -0,0 +1,151 @@
+import { TransactionFilter } from './transaction-filter.js';
+
+const ALICE = 'A1ice111111111111111111111111111111111111111';
+const BOB = 'Bob11111111111111111111111111111111111111111';
+
+const wallet = (walletAddress, uiChange, extra = {}) => ({
+    walletAddress,
+    nativeChange: 0,
+    tokenChanges: [{ mint: 'Bonk', change: '1', uiChange }],
+    tokenMint: 'Bonk',
+    amount: uiChange,
+    direction: 'in',
+    ...extra
+});
+
+const transaction = (wallets, extra = {}) => ({
+    signature: 'sig',
+    status: 'success',
+    timestamp: Date.now(),
+    type: 'swap',
+    tags: ['swap', 'lp.add'],
+    instructions: [],
+    accounts: [{ pubkey: ALICE, signer: true }],
+    tokenTransfers: [{ mint: 'Bonk', uiChange: '5' }],
+    balanceChanges: [],
+    swap: { side: 'buy' },
+    wallets,
+    ...extra
+});
+
+describe('TransactionFilter', () => {
+    test('names the first filter that rejects a transaction and says why', () => {
+        const filter = new TransactionFilter({ hideSpam: true, excludeTypes: ['lp.add'] });
+
+        const old = filter.evaluate(transaction([wallet(ALICE, '5')], {
+            timestamp: Date.now() - 2 * 86400000,
+            spamScore: 1
+        }));
+        expect(old).toMatchObject({ include: false, reason: 'age', walletAddress: ALICE });
+        expect(old.message).toBe('older than maxAge (86400000 ms)');
+
+        const spam = filter.evaluate(transaction([wallet(ALICE, '5')], {
+            spamScore: 0.8,
+            spamSignals: ['dust']
+        }));
+        expect(spam).toMatchObject({ reason: 'spam', message: 'spam score 0.8 from dust' });
+
+        const excluded = filter.evaluate(transaction([wallet(ALICE, '5')]));
+        expect(excluded).toMatchObject({
+            reason: 'type',
+            message: 'matches excluded type \'lp.add\''
+        });
+    });
+
+    test('checks each wallet on what it moved itself and keeps what any wallet wants', () => {
+        const filter = new TransactionFilter({ minAmount: 1 });
+
+        const decision = filter.evaluate(transaction([
+            wallet(ALICE, '0.999999999'),
+            wallet(BOB, '-1')
+        ]));
+
+        expect(decision.include).toBe(true);
+        expect(decision.walletAddress).toBe(BOB);
+        expect(decision.wallets.map(({ walletAddress, reason }) => [walletAddress, reason]))
+            .toEqual([[ALICE, 'amount'], [BOB, null]]);
+    });
+
+    test('does not count the fee as a SOL movement', () => {
+        const filter = new TransactionFilter({ minAmount: 0.000001 });
+
+        const feeOnly = wallet(ALICE, '0', { tokenChanges: [], solChange: -5000, nativeChange: 0 });
+        expect(filter.evaluate(transaction([feeOnly])).reason).toBe('amount');
+
+        const paid = { ...feeOnly, nativeChange: -1000 };
+        expect(filter.evaluate(transaction([paid])).include).toBe(true);
+    });
+
+    test('applies wallet profiles and presets over the global options', () => {
+        const filter = new TransactionFilter();
+        filter.setWalletProfile(ALICE, 'whale');
+
+        const decision = filter.evaluate(transaction([wallet(ALICE, '5'), wallet(BOB, '5')]));
+
+        expect(decision.wallets.map(({ reason }) => reason)).toEqual(['amount', null]);
+        expect(() => filter.setWalletProfile(BOB, 'minnow'))
+            .toThrow('Unknown filter preset \'minnow\'');
+        expect(() => filter.setWalletProfile(BOB, { includeTypes: ['airdrop'] }))
+            .toThrow('Unknown transaction type in includeTypes: airdrop');
+    });
+
+    test('runs custom rules on each wallet\'s view', () => {
+        const filter = new TransactionFilter({
+            rules: { field: 'wallets.walletAddress', op: 'eq', value: BOB }
+        });
+
+        const decision = filter.evaluate(transaction([wallet(ALICE, '5'), wallet(BOB, '5')]));
+
+        expect(decision.wallets.map(({ reason }) => reason)).toEqual(['rule', null]);
+    });
+
+    test('fails limits on unknown values unless they are let through', () => {
+        const strict = new TransactionFilter({ minUsdValue: 10 });
+        const lenient = new TransactionFilter({ minUsdValue: 10, passUnknownValues: true });
+        const unpriced = transaction([wallet(ALICE, '5', { usdValue: null })]);
+
+        expect(strict.evaluate(unpriced, 'enriched')).toMatchObject({
+            include: false,
+            reason: 'usdValue',
+            message: 'usdValue unknown with minUsdValue set'
+        });
+        expect(lenient.evaluate(unpriced, 'enriched').include).toBe(true);
+    });
+
+    test('compares enriched limits exactly', () => {
+        const filter = new TransactionFilter({ maxUsdValue: '10' });
+
+        const over = transaction([wallet(ALICE, '5', { usdValue: '10.000000001' })]);
+        const at = transaction([wallet(ALICE, '5', { usdValue: '10.000000000' })]);
+
+        expect(filter.evaluate(over, 'enriched').message)
+            .toBe('usdValue 10.000000001 is over maxUsdValue 10');
+        expect(filter.evaluate(at, 'enriched').include).toBe(true);
+    });
+
+    test('checks spam again after enrichment and counts both stages', () => {
+        const filter = new TransactionFilter({ hideSpam: true });
+        const airdrop = transaction([wallet(ALICE, '5')]);
+
+        expect(filter.evaluate(airdrop).include).toBe(true);
+
+        airdrop.spamScore = 0.5;
+        airdrop.spamSignals = ['worthless-token'];
+        expect(filter.evaluate(airdrop, 'enriched').reason).toBe('spam');
+
+        const { counters } = filter.getFilterStats();
+        expect(counters).toMatchObject({ evaluated: 1, included: 1 });
+        expect(counters.enriched.rules.spam).toEqual({ passed: 0, rejected: 1 });
+    });
+
+    test('lets everything through with filtering disabled', () => {
+        const filter = new TransactionFilter({ enableFiltering: false, hideSpam: true });
+
+        const decision = filter.evaluate(transaction([wallet(ALICE, '0')], {
+            status: 'failed',
+            spamScore: 1
+        }));
+
+        expect(decision).toMatchObject({ include: true, reason: null, message: null });
+    });
+});
@@ -10,18 +10,78 @@ export { WalletTracker } from './wallet-tracker.js';
 export { WebSocketBackend } from './services/websocket-backend.js';
 export { TokenDataService } from './services/token-data-service.js';
 export { PortfolioService } from './services/portfolio-service.js';
+export { RpcService } from './services/rpc-service.js';
+export { BackfillService } from './services/backfill-service.js';
+export { TransactionDeduplicator } from './services/transaction-deduplicator.js';
+export {
+    TransactionNormalizer,
+    TRANSACTION_SCHEMA_VERSION
+} from './services/transaction-normalizer.js';
+export { SwapInterpreter, QUOTE_MINTS } from './services/swap-interpreter.js';
+export { InstructionDecoder } from './services/instruction-decoder.js';
+export { LookupTableResolver } from './services/lookup-table-resolver.js';
+export { TokenExtensionService } from './services/token-extension-service.js';
+export {
+    FeeAnalyzer,
+    COMPUTE_BUDGET_PROGRAM_ID,
+    JITO_TIP_ACCOUNTS,
+    LAMPORTS_PER_SIGNATURE
+} from './services/fee-analyzer.js';
+export { FeeStats } from './services/fee-stats.js';
+export { SpamDetector, SPAM_SIGNAL_WEIGHTS } from './services/spam-detector.js';
+export { CounterpartyResolver } from './services/counterparty-resolver.js';
+export {
+    TransactionClassifier,
+    TRANSACTION_TYPES,
+    TRANSACTION_TAGS,
+    matchesType
+} from './services/transaction-classifier.js';
+export { PROGRAM_IDS } from './decoders/program-decoders.js';
+export { CommitmentTracker, COMMITMENT_LEVELS } from './services/commitment-tracker.js';
+export {
+    createBrowserTransport,
+    createNodeTransport,
+    MemoryTransport,
+    MemorySocket
+} from './services/websocket-transports.js';
 
 // Filters
-export { TransactionFilter } from './filters/transaction-filter.js';
+export {
+    TransactionFilter,
+    FILTER_PRESETS,
+    FILTER_STEPS,
+    ENRICHED_FILTER_STEPS
+} from './filters/transaction-filter.js';
+export { FilterRule, RULE_OPERATORS, getFieldValues } from './filters/filter-rule.js';
 
 // API integrations
 export { connectToHelius, getWalletTransactions, getTokenData } from './api/helius-api.js';
 
 // Utilities
 export { EventEmitter } from './utils/event-emitter.js';
+export {
+    NETWORK_PROFILES,
+    NETWORKS,
+    DEFAULT_NETWORK,
+    resolveNetwork
+} from './utils/network-profiles.js';
 export { Logger } from './utils/logger.js';
 export { validateSolanaAddress, validateNumber, validateDate } from './utils/validators.js';
 export { shortenAddress, normalizeAddress } from './utils/wallet-address.js';
+export { NATIVE_MINT, USDC_MINT, USDT_MINT } from './utils/token-mints.js';
+export { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from './utils/token-programs.js';
+export { decodeBase58 } from './utils/base58.js';
+export {
+    formatUnits,
+    parseUnits,
+    compareAmounts,
+    addAmounts,
+    subtractAmounts,
+    absAmount,
+    multiplyAmounts,
+    divideAmounts
+} from './utils/token-amount.js';
+export { buildInstructionTree, flattenInstructions } from './utils/instruction-tree.js';
 export { formatTimestamp, getRelativeTime, formatTransactionDate } from './utils/date-formatter.js';
 export { formatNumber, formatCurrency, formatLargeNumber, formatPercentage } from './utils/number-formatter.js';
 
@@ -0,0 +1,156 @@
+/**
+ * Backfill Service
+ * Remembers the last transaction seen per wallet and recovers what a disconnect missed
+ */
+
+import { Logger } from '../utils/logger.js';
+
+export class BackfillService {
+    constructor(options = {}) {
+        this.options = {
+            pageSize: options.pageSize || 100,
+            maxTransactions: options.maxTransactions || 200,
+            ...options
+        };
+
+        this.rpcService = options.rpcService;
+
+        // wallet -> { signature, slot, timestamp }
+        this.lastSeen = new Map();
+
+        this.logger = new Logger({ prefix: '[Backfill]' });
+    }
+
+    /**
+     * Record a transaction seen for a wallet
+     * @param {string} walletAddress - Tracked wallet
+     * @param {string} signature - Transaction signature
+     * @param {number} slot - Transaction slot
+     */
+    recordSeen(walletAddress, signature, slot) {
+        if (!walletAddress || !signature) {
+            return;
+        }
+
+        const previous = this.lastSeen.get(walletAddress);
+        if (previous && previous.slot > slot) {
+            return;
+        }
+
+        this.lastSeen.set(walletAddress, { signature, slot, timestamp: Date.now() });
+    }
+
+    /**
+     * Get the last transaction seen for a wallet
+     * @param {string} walletAddress - Tracked wallet
+     * @returns {Object|null} Last seen { signature, slot, timestamp } or null
+     */
+    getLastSeen(walletAddress) {
+        return this.lastSeen.get(walletAddress) || null;
+    }
+
+    /**
+     * Forget a wallet that is no longer tracked
+     * @param {string} walletAddress - Wallet address
+     */
+    forgetWallet(walletAddress) {
+        this.lastSeen.delete(walletAddress);
+    }
+
+    /**
+     * Forget every wallet's last seen signature
+     */
+    clear() {
+        this.lastSeen.clear();
+    }
+
+    /**
+     * Fetch the transactions a wallet made after its last seen signature
+     * @param {string} walletAddress - Tracked wallet
+     * @param {Object} options - Options
+     * @param {number} [options.since] - Lower time bound (ms) when no signature was seen yet
+     * @param {Function} [options.skip] - Predicate for signatures that need no fetch
+     * @returns {Promise<Array>} Raw transactions, oldest first, shaped like stream notifications
+     */
+    async fetchMissedTransactions(walletAddress, options = {}) {
+        const signatures = await this.collectMissedSignatures(walletAddress, options.since);
+        const transactions = [];
+
+        for (const info of signatures) {
+            // Already delivered by the stream or another wallet's backfill
+            if (options.skip && options.skip(info.signature)) {
+                continue;
+            }
+
+            try {
+                const result = await this.rpcService.getTransaction(info.signature);
+                if (!result) {
+                    continue;
+                }
+
+                transactions.push({
+                    signature: info.signature,
+                    slot: result.slot,
+                    blockTime: result.blockTime,
+                    transaction: {
+                        transaction: result.transaction,
+                        meta: result.meta
+                    }
+                });
+            } catch (error) {
+                this.logger.warn(`Failed to fetch missed ${info.signature}:`, error.message);
+            }
+        }
+
+        return transactions;
+    }
+
+    /**
+     * Page through signatures newer than the last seen one
+     * @param {string} walletAddress - Tracked wallet
+     * @param {number} [since] - Lower time bound (ms) when no signature was seen yet
+     * @returns {Promise<Array>} Successful signature infos, oldest first
+     */
+    async collectMissedSignatures(walletAddress, since) {
+        const lastSeen = this.lastSeen.get(walletAddress);
+        if (!lastSeen && !since) {
+            return [];
+        }
+
+        const collected = [];
+        let before;
+
+        while (collected.length < this.options.maxTransactions) {
+            const page = await this.rpcService.getSignaturesForAddress(walletAddress, {
+                before,
+                until: lastSeen ? lastSeen.signature : undefined,
+                limit: this.options.pageSize
+            });
+
+            let reachedBound = false;
+            for (const info of page) {
+                if (!lastSeen && info.blockTime && info.blockTime * 1000 < since) {
+                    reachedBound = true;
+                    break;
+                }
+
+                // The live stream only delivers successful transactions
+                if (!info.err) {
+                    collected.push(info);
+                }
+            }
+
+            if (reachedBound || page.length < this.options.pageSize) {
+                break;
+            }
+
+            before = page[page.length - 1].signature;
+        }
+
+        if (collected.length >= this.options.maxTransactions) {
+            this.logger.warn(`Backfill capped for ${walletAddress}`);
+        }
+
+        return collected.slice(0, this.options.maxTransactions).reverse();
+    }
+}
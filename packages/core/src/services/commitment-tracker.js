@@ -0,0 +1,177 @@
+/**
+ * Commitment Tracker
+ * Follows transactions seen at an early commitment until they finalize,
+ * and reports the ones that never do
+ */
+
+import { EventEmitter } from '../utils/event-emitter.js';
+import { Logger } from '../utils/logger.js';
+
+export const COMMITMENT_LEVELS = ['processed', 'confirmed', 'finalized'];
+
+// getSignatureStatuses accepts at most 256 signatures per call
+const MAX_SIGNATURES_PER_REQUEST = 256;
+
+export class CommitmentTracker extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            pollInterval: options.pollInterval || 2000,
+            dropTimeout: options.dropTimeout || 90000, // 90 seconds
+            ...options
+        };
+
+        this.rpcService = options.rpcService;
+
+        // signature -> { transaction, commitment, trackedAt }
+        this.tracked = new Map();
+
+        this.pollTimer = null;
+        this.isPolling = false;
+
+        this.logger = new Logger({ prefix: '[Commitment]' });
+    }
+
+    /**
+     * Start following a transaction until it finalizes
+     * @param {Object} transaction - Transaction with signature and commitment
+     */
+    track(transaction) {
+        if (!transaction.signature || transaction.commitment === 'finalized') {
+            return;
+        }
+
+        this.tracked.set(transaction.signature, {
+            transaction,
+            commitment: transaction.commitment || 'processed',
+            trackedAt: Date.now()
+        });
+
+        if (!this.pollTimer) {
+            this.pollTimer = setInterval(() => {
+                this.poll();
+            }, this.options.pollInterval);
+        }
+    }
+
+    /**
+     * Stop following a transaction
+     * @param {string} signature - Transaction signature
+     */
+    untrack(signature) {
+        this.tracked.delete(signature);
+
+        if (this.tracked.size === 0 && this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    /**
+     * Check the status of every tracked signature
+     * @returns {Promise<void>}
+     */
+    async poll() {
+        if (this.isPolling || this.tracked.size === 0) {
+            return;
+        }
+
+        this.isPolling = true;
+
+        try {
+            const signatures = Array.from(this.tracked.keys());
+
+            for (let i = 0; i < signatures.length; i += MAX_SIGNATURES_PER_REQUEST) {
+                const batch = signatures.slice(i, i + MAX_SIGNATURES_PER_REQUEST);
+                const statuses = await this.rpcService.getSignatureStatuses(batch);
+
+                batch.forEach((signature, index) => {
+                    this.applyStatus(signature, statuses[index] || null);
+                });
+            }
+        } catch (error) {
+            this.logger.warn('Failed to poll signature statuses:', error.message);
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Apply a signature status and emit lifecycle events
+     * @param {string} signature - Transaction signature
+     * @param {Object|null} status - Status from getSignatureStatuses
+     */
+    applyStatus(signature, status) {
+        const entry = this.tracked.get(signature);
+        if (!entry) {
+            return;
+        }
+
+        if (status && status.err) {
+            this.drop(signature, 'failed');
+            return;
+        }
+
+        const current = COMMITMENT_LEVELS.indexOf(entry.commitment);
+        const reached = status ? COMMITMENT_LEVELS.indexOf(status.confirmationStatus) : -1;
+
+        // Emit every step passed since the last poll, in order
+        for (let level = current + 1; level <= reached; level++) {
+            entry.commitment = COMMITMENT_LEVELS[level];
+            this.emit(entry.commitment, entry.transaction);
+        }
+
+        if (entry.commitment === 'finalized') {
+            this.untrack(signature);
+            return;
+        }
+
+        if (Date.now() - entry.trackedAt > this.options.dropTimeout) {
+            this.drop(signature, status ? 'notFinalized' : 'notFound');
+        }
+    }
+
+    /**
+     * Give up on a transaction that will not finalize
+     * @param {string} signature - Transaction signature
+     * @param {string} reason - Why it was dropped
+     */
+    drop(signature, reason) {
+        const entry = this.tracked.get(signature);
+        this.untrack(signature);
+
+        this.logger.warn(`Transaction ${signature} dropped: ${reason}`);
+        this.emit('dropped', entry.transaction, reason);
+    }
+
+    /**
+     * Get tracking statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        const byCommitment = { processed: 0, confirmed: 0 };
+
+        for (const entry of this.tracked.values()) {
+            byCommitment[entry.commitment] = (byCommitment[entry.commitment] || 0) + 1;
+        }
+
+        return {
+            tracked: this.tracked.size,
+            ...byCommitment,
+            dropTimeout: this.options.dropTimeout
+        };
+    }
+
+    /**
+     * Stop following every transaction
+     */
+    clear() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+
+        this.tracked.clear();
+    }
+}
@@ -0,0 +1,88 @@
+import { CommitmentTracker } from './commitment-tracker.js';
+
+describe('CommitmentTracker', () => {
+    let statuses;
+    let requests;
+    let tracker;
+    let events;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+
+        statuses = {};
+        requests = [];
+        tracker = new CommitmentTracker({
+            pollInterval: 1000,
+            dropTimeout: 5000,
+            rpcService: {
+                getSignatureStatuses: async signatures => {
+                    requests.push(signatures.length);
+                    return signatures.map(signature => statuses[signature] || null);
+                }
+            }
+        });
+
+        events = [];
+        for (const event of ['confirmed', 'finalized', 'dropped']) {
+            tracker.on(event, (transaction, reason) => {
+                events.push([event, transaction.signature, reason].filter(Boolean).join(':'));
+            });
+        }
+    });
+
+    afterEach(() => {
+        tracker.clear();
+        jest.useRealTimers();
+    });
+
+    test('emits every commitment passed between polls, in order', async () => {
+        tracker.track({ signature: 'fast', commitment: 'processed' });
+        statuses.fast = { confirmationStatus: 'finalized', err: null };
+
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(events).toEqual(['confirmed:fast', 'finalized:fast']);
+        expect(tracker.getStats().tracked).toBe(0);
+        expect(tracker.pollTimer).toBeNull();
+    });
+
+    test('ignores finalized transactions and ones without a signature', () => {
+        tracker.track({ signature: 'done', commitment: 'finalized' });
+        tracker.track({ commitment: 'processed' });
+
+        expect(tracker.getStats().tracked).toBe(0);
+        expect(tracker.pollTimer).toBeNull();
+    });
+
+    test('drops failed transactions at once', async () => {
+        tracker.track({ signature: 'bad', commitment: 'confirmed' });
+        statuses.bad = { confirmationStatus: 'confirmed', err: { InstructionError: [0, 1] } };
+
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(events).toEqual(['dropped:bad:failed']);
+    });
+
+    test('drops transactions that do not finalize within the timeout', async () => {
+        tracker.track({ signature: 'stuck', commitment: 'confirmed' });
+        tracker.track({ signature: 'gone', commitment: 'processed' });
+        statuses.stuck = { confirmationStatus: 'confirmed', err: null };
+
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(events).toEqual([]);
+        expect(tracker.getStats()).toMatchObject({ tracked: 2, processed: 1, confirmed: 1 });
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(events).toEqual(['dropped:stuck:notFinalized', 'dropped:gone:notFound']);
+    });
+
+    test('asks for at most 256 signatures per request', async () => {
+        for (let i = 0; i < 300; i++) {
+            tracker.track({ signature: `sig${i}`, commitment: 'processed' });
+        }
+
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(requests).toEqual([256, 44]);
+    });
+});
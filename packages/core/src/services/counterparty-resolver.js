@@ -0,0 +1,215 @@
+/**
+ * Counterparty Resolver
+ * Pairs each SOL and token balance change with the other side of the
+ * transfer that caused it: the wallet owning the other token account, the
+ * venue whose vault took or paid the funds, or the mint for mints and burns
+ */
+
+import { JITO_TIP_ACCOUNTS } from './fee-analyzer.js';
+
+const TOKEN_PROGRAMS = new Set(['spl-token', 'spl-token-2022']);
+
+const SYSTEM_TRANSFER_TYPES = new Set(['transfer', 'transferWithSeed']);
+const TOKEN_TRANSFER_TYPES = new Set(['transfer', 'transferChecked', 'transferCheckedWithFee']);
+const MINT_TYPES = new Set(['mintTo', 'mintToChecked']);
+const BURN_TYPES = new Set(['burn', 'burnChecked']);
+
+/**
+ * One transfer read from the instructions
+ * @typedef {Object} Movement
+ * @property {string} asset - 'sol' or 'token'
+ * @property {string|null} from - Sending account, null for mints
+ * @property {string|null} to - Receiving account, null for burns
+ * @property {bigint} amount - Base units
+ * @property {string|null} authority - Owner that signed for the sending token account
+ * @property {string|null} mint - Mint of mints and burns
+ * @property {string|null} kind - 'mint' or 'burn', null for transfers
+ * @property {string|null} venue - Protocol of the instruction that invoked it
+ */
+
+export class CounterpartyResolver {
+    constructor(options = {}) {
+        this.options = {
+            tipAccounts: options.tipAccounts || JITO_TIP_ACCOUNTS,
+            ...options
+        };
+
+        this.tipAccounts = new Set(this.options.tipAccounts);
+    }
+
+    /**
+     * Set `counterparty` and `counterpartyLabel` on every token transfer and
+     * balance change of a processed transaction, in place. Labels are
+     * 'tracked-wallet', 'wallet', 'jito-tip', 'mint', 'burn' or the protocol
+     * of the venue that moved the funds (e.g. 'raydium-amm').
+     * @param {Object} transaction - Transaction from processTransactionData
+     * @param {Set<string>} trackedWallets - Wallets the tracker follows
+     * @returns {Object} The same transaction
+     */
+    resolve(transaction, trackedWallets = new Set()) {
+        const movements = this.getMovements(transaction.instructions || []);
+        const owners = new Map(
+            (transaction.tokenTransfers || []).map(transfer => [transfer.account, transfer.owner])
+        );
+        const signers = new Set((transaction.accounts || [])
+            .filter(account => account.signer)
+            .map(account => account.pubkey));
+
+        const context = { owners, signers, trackedWallets };
+        const tokenMovements = movements.filter(movement => movement.asset === 'token');
+        const solMovements = movements.filter(movement => movement.asset === 'sol');
+
+        for (const transfer of transaction.tokenTransfers || []) {
+            Object.assign(transfer, this.getCounterparty(
+                tokenMovements,
+                transfer.account,
+                BigInt(transfer.change) > 0n,
+                context
+            ));
+        }
+
+        for (const balanceChange of transaction.balanceChanges || []) {
+            const account = balanceChange.account;
+            Object.assign(balanceChange, this.getCounterparty(
+                solMovements,
+                account && (account.pubkey || account),
+                balanceChange.change > 0,
+                context
+            ));
+        }
+
+        return transaction;
+    }
+
+    /**
+     * Find the other side of one account's change from the largest movement behind it
+     * @param {Array<Movement>} movements - Movements of the same asset
+     * @param {string} account - Account that changed
+     * @param {boolean} received - Whether the account's balance went up
+     * @param {Object} context - { owners, signers, trackedWallets }
+     * @returns {Object} { counterparty, counterpartyLabel }, both null when no
+     *   instruction explains the change
+     */
+    getCounterparty(movements, account, received, context) {
+        const movement = movements
+            .filter(candidate => (received ? candidate.to : candidate.from) === account)
+            .reduce((largest, candidate) =>
+                (!largest || candidate.amount > largest.amount ? candidate : largest),
+            null);
+
+        if (!movement) {
+            return { counterparty: null, counterpartyLabel: null };
+        }
+
+        if (movement.kind) {
+            return { counterparty: movement.mint, counterpartyLabel: movement.kind };
+        }
+
+        // Token accounts stand in for the wallets that own them
+        const other = received ? movement.from : movement.to;
+        const counterparty = context.owners.get(other) ||
+            (received && movement.authority) ||
+            other;
+
+        return {
+            counterparty,
+            counterpartyLabel: this.getLabel(counterparty, movement.venue, context)
+        };
+    }
+
+    /**
+     * Label a counterparty
+     * @param {string} address - Counterparty address
+     * @param {string|null} venue - Protocol that moved the funds
+     * @param {Object} context - { signers, trackedWallets }
+     * @returns {string} Label
+     */
+    getLabel(address, venue, context) {
+        if (context.trackedWallets.has(address)) {
+            return 'tracked-wallet';
+        }
+        if (this.tipAccounts.has(address)) {
+            return 'jito-tip';
+        }
+
+        // Inside a venue instruction, whoever did not sign is the venue's vault
+        if (venue && !context.signers.has(address)) {
+            return venue;
+        }
+
+        return 'wallet';
+    }
+
+    /**
+     * Collect the SOL and token movements of an instruction tree
+     * @param {Array<Object>} instructions - Instruction tree
+     * @param {string|null} venue - Protocol of the nearest decoded caller
+     * @param {Array<Movement>} movements - Collected so far, updated in place
+     * @returns {Array<Movement>} Movements
+     */
+    getMovements(instructions, venue = null, movements = []) {
+        for (const instruction of instructions) {
+            const movement = this.getMovement(instruction, venue);
+            if (movement) {
+                movements.push(movement);
+            }
+
+            const decoded = instruction.decoded;
+            const callerVenue = decoded && !instruction.parsed ? decoded.protocol : venue;
+            this.getMovements(instruction.innerInstructions || [], callerVenue, movements);
+        }
+
+        return movements;
+    }
+
+    /**
+     * Read the movement of one parsed system or token instruction
+     * @param {Object} instruction - Instruction
+     * @param {string|null} venue - Protocol of the nearest decoded caller
+     * @returns {Movement|null} Movement
+     */
+    getMovement(instruction, venue) {
+        if (!instruction.parsed) {
+            return null;
+        }
+
+        const { type, info = {} } = instruction.parsed;
+        const tokenAmount = info.tokenAmount ? info.tokenAmount.amount : info.amount;
+        const movement = {
+            asset: 'token',
+            from: null,
+            to: null,
+            amount: BigInt(tokenAmount || 0),
+            authority: info.authority || info.multisigAuthority || null,
+            mint: info.mint || null,
+            kind: null,
+            venue
+        };
+
+        if (instruction.program === 'system' && SYSTEM_TRANSFER_TYPES.has(type)) {
+            return {
+                ...movement,
+                asset: 'sol',
+                from: info.source,
+                to: info.destination,
+                amount: BigInt(info.lamports || 0)
+            };
+        }
+
+        if (!TOKEN_PROGRAMS.has(instruction.program)) {
+            return null;
+        }
+
+        if (TOKEN_TRANSFER_TYPES.has(type)) {
+            return { ...movement, from: info.source, to: info.destination };
+        }
+        if (MINT_TYPES.has(type)) {
+            return { ...movement, to: info.account, kind: 'mint' };
+        }
+        if (BURN_TYPES.has(type)) {
+            return { ...movement, from: info.account, kind: 'burn' };
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * Fee Analyzer
+ * Breaks a transaction's cost down into the base fee, the priority fee it bid
+ * through ComputeBudget instructions and any tip paid to Jito validators
+ */
+
+import { decodeBase58 } from '../utils/base58.js';
+
+export const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111';
+
+// Accounts Jito block engines take tips on
+export const JITO_TIP_ACCOUNTS = [
+    '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+    'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+    'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+    'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+    'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+    'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+    'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+    '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT'
+];
+
+export const LAMPORTS_PER_SIGNATURE = 5000;
+
+// ComputeBudget instruction tags (first data byte)
+const SET_COMPUTE_UNIT_LIMIT = 2;
+const SET_COMPUTE_UNIT_PRICE = 3;
+
+/**
+ * @typedef {Object} FeeDetails
+ * @property {number} total - meta.fee in lamports
+ * @property {number} base - Signature fee: 5000 lamports per signature
+ * @property {number} priority - Lamports paid above the base fee
+ * @property {number} jitoTip - Lamports sent to Jito tip accounts
+ * @property {number|null} computeUnitLimit - Requested unit limit, null when not set
+ * @property {number|null} computeUnitPrice - Bid in micro-lamports per unit, null when not set
+ * @property {number|null} computeUnitsConsumed - Units the transaction used
+ */
+
+export class FeeAnalyzer {
+    constructor(options = {}) {
+        this.options = {
+            tipAccounts: options.tipAccounts || JITO_TIP_ACCOUNTS,
+            ...options
+        };
+
+        this.tipAccounts = new Set(this.options.tipAccounts);
+    }
+
+    /**
+     * Analyze the fees of a processed transaction
+     * @param {Object} transaction - Transaction from processTransactionData
+     * @param {Object} rawData - Raw transaction data
+     * @returns {FeeDetails} Fee details
+     */
+    analyze(transaction, rawData) {
+        const meta = rawData.transaction?.meta || {};
+        const signatures = rawData.transaction?.transaction?.signatures || [];
+        const budget = this.getComputeBudget(transaction.instructions || []);
+
+        // The fee is the base fee plus the bid; only the base depends on signatures
+        const total = transaction.fee || 0;
+        const base = Math.min(total, Math.max(signatures.length, 1) * LAMPORTS_PER_SIGNATURE);
+
+        return {
+            total,
+            base,
+            priority: total - base,
+            jitoTip: this.getJitoTip(transaction.balanceChanges || []),
+            computeUnitLimit: budget.computeUnitLimit,
+            computeUnitPrice: budget.computeUnitPrice,
+            computeUnitsConsumed: meta.computeUnitsConsumed ?? null
+        };
+    }
+
+    /**
+     * Read the unit limit and price from the top-level ComputeBudget instructions
+     * @param {Array<Object>} instructions - Instruction tree
+     * @returns {Object} { computeUnitLimit, computeUnitPrice }
+     */
+    getComputeBudget(instructions) {
+        const budget = { computeUnitLimit: null, computeUnitPrice: null };
+
+        for (const instruction of instructions) {
+            if (instruction.programId !== COMPUTE_BUDGET_PROGRAM_ID ||
+                typeof instruction.data !== 'string') {
+                continue;
+            }
+
+            const data = decodeBase58(instruction.data);
+            const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+            if (data[0] === SET_COMPUTE_UNIT_LIMIT && data.length >= 5) {
+                budget.computeUnitLimit = view.getUint32(1, true);
+            } else if (data[0] === SET_COMPUTE_UNIT_PRICE && data.length >= 9) {
+                budget.computeUnitPrice = Number(view.getBigUint64(1, true));
+            }
+        }
+
+        return budget;
+    }
+
+    /**
+     * Sum the lamports the transaction paid into tip accounts
+     * @param {Array<Object>} balanceChanges - Balance changes
+     * @returns {number} Lamports
+     */
+    getJitoTip(balanceChanges) {
+        // Balances catch tips sent by CPI from bot programs as well as direct transfers
+        return balanceChanges.reduce((total, balanceChange) => {
+            const account = balanceChange.account;
+            const address = account && (account.pubkey || account);
+            return this.tipAccounts.has(address) && balanceChange.change > 0
+                ? total + balanceChange.change
+                : total;
+        }, 0);
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * Fee Stats
+ * Aggregates what each tracked wallet pays to land its transactions. How
+ * often and how much a wallet bids for priority separates bots from humans.
+ */
+
+export class FeeStats {
+    constructor() {
+        this.wallets = new Map(); // wallet address -> running totals
+    }
+
+    /**
+     * Add one transaction the wallet paid for
+     * @param {string} walletAddress - Fee payer
+     * @param {Object} fees - FeeDetails from FeeAnalyzer
+     */
+    record(walletAddress, fees) {
+        if (!this.wallets.has(walletAddress)) {
+            this.wallets.set(walletAddress, {
+                transactionCount: 0,
+                totalFees: 0,
+                baseFees: 0,
+                priorityFees: 0,
+                jitoTips: 0,
+                prioritizedCount: 0,
+                tippedCount: 0,
+                computeUnitsConsumed: 0,
+                pricedCount: 0,
+                computeUnitPriceSum: 0,
+                maxComputeUnitPrice: 0
+            });
+        }
+
+        const totals = this.wallets.get(walletAddress);
+        totals.transactionCount++;
+        totals.totalFees += fees.total;
+        totals.baseFees += fees.base;
+        totals.priorityFees += fees.priority;
+        totals.jitoTips += fees.jitoTip;
+        totals.computeUnitsConsumed += fees.computeUnitsConsumed || 0;
+
+        if (fees.priority > 0) {
+            totals.prioritizedCount++;
+        }
+        if (fees.jitoTip > 0) {
+            totals.tippedCount++;
+        }
+        if (fees.computeUnitPrice !== null) {
+            totals.pricedCount++;
+            totals.computeUnitPriceSum += fees.computeUnitPrice;
+            totals.maxComputeUnitPrice = Math.max(
+                totals.maxComputeUnitPrice,
+                fees.computeUnitPrice
+            );
+        }
+    }
+
+    /**
+     * Get a wallet's fee aggregates
+     * @param {string} walletAddress - Wallet address
+     * @returns {Object|null} Aggregates in lamports (unit prices in micro-lamports),
+     *   null when the wallet paid for nothing yet
+     */
+    getStats(walletAddress) {
+        const totals = this.wallets.get(walletAddress);
+        if (!totals) {
+            return null;
+        }
+
+        const count = totals.transactionCount;
+
+        return {
+            walletAddress,
+            transactionCount: count,
+            totalFees: totals.totalFees,
+            baseFees: totals.baseFees,
+            priorityFees: totals.priorityFees,
+            jitoTips: totals.jitoTips,
+            averagePriorityFee: totals.priorityFees / count,
+            averageJitoTip: totals.jitoTips / count,
+            averageComputeUnitsConsumed: totals.computeUnitsConsumed / count,
+            averageComputeUnitPrice: totals.pricedCount > 0
+                ? totals.computeUnitPriceSum / totals.pricedCount
+                : 0,
+            maxComputeUnitPrice: totals.maxComputeUnitPrice,
+            prioritizedRate: totals.prioritizedCount / count,
+            tippedRate: totals.tippedCount / count
+        };
+    }
+
+    /**
+     * Get the aggregates of every wallet seen
+     * @returns {Array<Object>} Aggregates
+     */
+    getAllStats() {
+        return Array.from(this.wallets.keys()).map(walletAddress => this.getStats(walletAddress));
+    }
+
+    /**
+     * Forget a wallet's aggregates
+     * @param {string} walletAddress - Wallet address
+     */
+    removeWallet(walletAddress) {
+        this.wallets.delete(walletAddress);
+    }
+
+    /**
+     * Forget all aggregates
+     */
+    clear() {
+        this.wallets.clear();
+    }
+}
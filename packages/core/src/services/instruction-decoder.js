@@ -0,0 +1,121 @@
+/**
+ * Instruction Decoder
+ * Registry of per-program decoders that label each instruction with the
+ * protocol, action and key accounts, so callers can tell which venue a trade used
+ */
+
+import { createBuiltinDecoders } from '../decoders/program-decoders.js';
+import { decodeBase58 } from '../utils/base58.js';
+import { flattenInstructions } from '../utils/instruction-tree.js';
+import { Logger } from '../utils/logger.js';
+
+export class InstructionDecoder {
+    constructor(options = {}) {
+        this.options = {
+            includeBuiltins: options.includeBuiltins !== false,
+            ...options
+        };
+
+        // program ID -> (instruction, data) => { protocol, action, name, accounts } | null
+        this.decoders = this.options.includeBuiltins ? createBuiltinDecoders() : new Map();
+
+        this.logger = new Logger({ prefix: '[Decoder]' });
+    }
+
+    /**
+     * Register a decoder for a program, replacing any existing one
+     * @param {string} programId - Program ID
+     * @param {Function} decoder - (instruction, data) => label or null, where data is
+     *   the instruction data as bytes and the label is { protocol, action, name, accounts }
+     */
+    registerDecoder(programId, decoder) {
+        if (typeof decoder !== 'function') {
+            throw new Error(`Decoder for ${programId} must be a function`);
+        }
+
+        this.decoders.set(programId, decoder);
+        this.logger.info(`Registered decoder for ${programId}`);
+    }
+
+    /**
+     * Remove the decoder for a program
+     * @param {string} programId - Program ID
+     * @returns {boolean} Whether a decoder was registered
+     */
+    unregisterDecoder(programId) {
+        return this.decoders.delete(programId);
+    }
+
+    /**
+     * Check whether a program has a decoder
+     * @param {string} programId - Program ID
+     * @returns {boolean} Has decoder
+     */
+    hasDecoder(programId) {
+        return this.decoders.has(programId);
+    }
+
+    /**
+     * Get the program IDs with a decoder
+     * @returns {Array<string>} Program IDs
+     */
+    getProgramIds() {
+        return Array.from(this.decoders.keys());
+    }
+
+    /**
+     * Label one instruction
+     * @param {Object} instruction - jsonParsed instruction
+     * @returns {Object|null} Label { programId, protocol, action, name, accounts }
+     */
+    decodeInstruction(instruction) {
+        // Programs the RPC node parses (system, token, ...) arrive decoded already
+        if (instruction.parsed) {
+            return {
+                programId: instruction.programId,
+                protocol: instruction.program,
+                action: instruction.parsed.type || null,
+                name: instruction.parsed.type || null,
+                accounts: {}
+            };
+        }
+
+        const decoder = this.decoders.get(instruction.programId);
+        if (!decoder || typeof instruction.data !== 'string') {
+            return null;
+        }
+
+        try {
+            const label = decoder(instruction, decodeBase58(instruction.data));
+            return label ? { programId: instruction.programId, ...label } : null;
+        } catch (error) {
+            // A broken third-party decoder must not take the transaction down with it
+            this.logger.warn(`Decoder for ${instruction.programId} failed:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Label every instruction of a processed transaction in place, inner ones included
+     * @param {Object} transaction - Transaction with an instruction tree
+     * @returns {Object} The same transaction with `decoded` on each instruction and
+     *   `protocols` listing the decoded venues in execution order
+     */
+    decodeTransaction(transaction) {
+        const protocols = [];
+
+        for (const instruction of flattenInstructions(transaction.instructions)) {
+            instruction.decoded = this.decodeInstruction(instruction);
+
+            const protocol = instruction.decoded && !instruction.parsed
+                ? instruction.decoded.protocol
+                : null;
+            if (protocol && !protocols.includes(protocol)) {
+                protocols.push(protocol);
+            }
+        }
+
+        transaction.protocols = protocols;
+        return transaction;
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Lookup Table Resolver
+ * Fills in the accounts a versioned (v0) transaction loads through address
+ * lookup tables when the provider delivered it without `meta.loadedAddresses`
+ */
+
+import { Logger } from '../utils/logger.js';
+
+export class LookupTableResolver {
+    constructor(options = {}) {
+        this.options = {
+            maxTables: options.maxTables || 500,
+            ...options
+        };
+
+        this.rpcService = options.rpcService;
+
+        // Table address -> addresses, oldest first; tables only ever grow
+        this.tables = new Map();
+        this.tableFetches = new Map(); // table address -> in-flight fetch
+
+        this.logger = new Logger({ prefix: '[LookupTables]' });
+    }
+
+    /**
+     * Check whether a raw transaction uses lookup tables nobody resolved
+     * @param {Object} rawData - Raw transaction data
+     * @returns {boolean} Needs resolution
+     */
+    needsResolution(rawData) {
+        const message = rawData.transaction?.transaction?.message;
+        const meta = rawData.transaction?.meta;
+
+        if (!message || !meta || meta.loadedAddresses) {
+            return false;
+        }
+
+        const lookups = message.addressTableLookups || [];
+        const keys = message.accountKeys || [];
+
+        // jsonParsed can list the loaded accounts among the keys already
+        return lookups.length > 0 && !keys.some(key => key.source === 'lookupTable');
+    }
+
+    /**
+     * Resolve the lookup tables and set `meta.loadedAddresses` in place
+     * @param {Object} rawData - Raw transaction data
+     * @returns {Promise<boolean>} Whether the addresses were resolved
+     */
+    async resolve(rawData) {
+        const lookups = rawData.transaction.transaction.message.addressTableLookups;
+
+        try {
+            const writable = [];
+            const readonly = [];
+
+            // Loaded accounts follow the static keys: every table's writable ones, then readonly
+            for (const lookup of lookups) {
+                const indexes = [...lookup.writableIndexes, ...lookup.readonlyIndexes];
+                const addresses = await this.getTable(lookup.accountKey, Math.max(...indexes));
+
+                writable.push(...lookup.writableIndexes.map(index => addresses[index]));
+                readonly.push(...lookup.readonlyIndexes.map(index => addresses[index]));
+            }
+
+            rawData.transaction.meta.loadedAddresses = { writable, readonly };
+            return true;
+        } catch (error) {
+            this.logger.warn(`Lookup tables unresolved for ${rawData.signature}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get a table's addresses, refetching when it is shorter than needed
+     * @param {string} tableAddress - Lookup table account
+     * @param {number} highestIndex - Highest index the transaction reads
+     * @returns {Promise<Array<string>>} Addresses
+     */
+    async getTable(tableAddress, highestIndex) {
+        const cached = this.tables.get(tableAddress);
+        if (cached && highestIndex < cached.length) {
+            return cached;
+        }
+
+        if (!this.tableFetches.has(tableAddress)) {
+            const request = this.fetchTable(tableAddress).finally(() => {
+                this.tableFetches.delete(tableAddress);
+            });
+            this.tableFetches.set(tableAddress, request);
+        }
+
+        const addresses = await this.tableFetches.get(tableAddress);
+        if (highestIndex >= addresses.length) {
+            throw new Error(`Lookup table ${tableAddress} has no index ${highestIndex}`);
+        }
+
+        return addresses;
+    }
+
+    /**
+     * Fetch a table over RPC and cache it
+     * @param {string} tableAddress - Lookup table account
+     * @returns {Promise<Array<string>>} Addresses
+     */
+    async fetchTable(tableAddress) {
+        const addresses = await this.rpcService.getAddressLookupTable(tableAddress);
+
+        this.tables.delete(tableAddress);
+        this.tables.set(tableAddress, addresses);
+
+        while (this.tables.size > this.options.maxTables) {
+            this.tables.delete(this.tables.keys().next().value);
+        }
+
+        return addresses;
+    }
+
+    /**
+     * Forget cached tables, e.g. after switching cluster
+     */
+    clear() {
+        this.tables.clear();
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * RPC Service
+ * JSON-RPC over HTTP for one-off Solana queries that the WebSocket stream cannot answer
+ */
+
+import { Logger } from '../utils/logger.js';
+import { NETWORK_PROFILES, DEFAULT_NETWORK, withApiKey } from '../utils/network-profiles.js';
+
+export class RpcService {
+    constructor(options = {}) {
+        this.options = {
+            apiKeys: options.apiKeys || [],
+            maxRetries: options.maxRetries || 3,
+            retryDelay: options.retryDelay || 500,
+            commitment: options.commitment || 'confirmed',
+            heliusRpcUrl: options.heliusRpcUrl || NETWORK_PROFILES[DEFAULT_NETWORK].heliusRpcUrl,
+            ...options
+        };
+
+        this.currentApiKeyIndex = 0;
+        this.requestId = 0;
+
+        this.logger = new Logger({ prefix: '[RPC]' });
+    }
+
+    /**
+     * Build the RPC URL for the next request
+     * @returns {string} RPC endpoint URL
+     */
+    getRpcUrl() {
+        // A fixed endpoint (own node or standard provider) needs no API key
+        if (this.options.rpcUrl) {
+            return this.options.rpcUrl;
+        }
+
+        const { apiKeys } = this.options;
+        if (!apiKeys || apiKeys.length === 0) {
+            throw new Error('No API keys available for RPC requests');
+        }
+
+        // Spread requests across keys so a backfill burst does not exhaust one of them
+        const apiKey = apiKeys[this.currentApiKeyIndex % apiKeys.length];
+        this.currentApiKeyIndex = (this.currentApiKeyIndex + 1) % apiKeys.length;
+
+        return withApiKey(this.options.heliusRpcUrl, apiKey);
+    }
+
+    /**
+     * Perform a JSON-RPC call with retries
+     * @param {string} method - RPC method name
+     * @param {Array} params - RPC parameters
+     * @returns {Promise<any>} RPC result
+     */
+    async call(method, params = []) {
+        let lastError;
+
+        for (let attempt = 0; attempt < this.options.maxRetries; attempt++) {
+            try {
+                const response = await fetch(this.getRpcUrl(), {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        jsonrpc: '2.0',
+                        id: ++this.requestId,
+                        method,
+                        params
+                    })
+                });
+
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+
+                const data = await response.json();
+
+                if (data.error) {
+                    throw new Error(`RPC ${data.error.code}: ${data.error.message}`);
+                }
+
+                return data.result;
+
+            } catch (error) {
+                lastError = error;
+                this.logger.warn(`${method} attempt ${attempt + 1} failed:`, error.message);
+
+                if (attempt < this.options.maxRetries - 1) {
+                    await this.delay(this.options.retryDelay * Math.pow(2, attempt));
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Get confirmed signatures for an address, newest first
+     * @param {string} address - Account address
+     * @param {Object} options - Paging options (before, until, limit)
+     * @returns {Promise<Array>} Signature info objects
+     */
+    async getSignaturesForAddress(address, options = {}) {
+        const config = {
+            commitment: this.options.commitment,
+            limit: options.limit || 100
+        };
+
+        if (options.before) {
+            config.before = options.before;
+        }
+        if (options.until) {
+            config.until = options.until;
+        }
+
+        return (await this.call('getSignaturesForAddress', [address, config])) || [];
+    }
+
+    /**
+     * Get a full transaction in the same shape the WebSocket stream delivers
+     * @param {string} signature - Transaction signature
+     * @returns {Promise<Object|null>} Transaction or null if not found
+     */
+    async getTransaction(signature) {
+        return await this.call('getTransaction', [
+            signature,
+            {
+                commitment: this.options.commitment,
+                encoding: 'jsonParsed',
+                maxSupportedTransactionVersion: 0
+            }
+        ]);
+    }
+
+    /**
+     * Get the addresses stored in an address lookup table
+     * @param {string} address - Lookup table account
+     * @returns {Promise<Array<string>>} Addresses in table order
+     */
+    async getAddressLookupTable(address) {
+        const result = await this.call('getAccountInfo', [
+            address,
+            { commitment: this.options.commitment, encoding: 'jsonParsed' }
+        ]);
+
+        const addresses = result?.value?.data?.parsed?.info?.addresses;
+        if (!addresses) {
+            throw new Error(`Account ${address} is not an address lookup table`);
+        }
+
+        return addresses;
+    }
+
+    /**
+     * Get the Token-2022 extensions a mint enables
+     * @param {string} mint - Mint address
+     * @returns {Promise<Array<Object>>} Extensions as jsonParsed lists them ({ extension, state })
+     */
+    async getMintExtensions(mint) {
+        const result = await this.call('getAccountInfo', [
+            mint,
+            { commitment: this.options.commitment, encoding: 'jsonParsed' }
+        ]);
+
+        const parsed = result?.value?.data?.parsed;
+        if (!parsed || parsed.type !== 'mint') {
+            throw new Error(`Account ${mint} is not a token mint`);
+        }
+
+        return parsed.info.extensions || [];
+    }
+
+    /**
+     * Get the commitment status of signatures
+     * @param {Array<string>} signatures - Up to 256 signatures
+     * @returns {Promise<Array<Object|null>>} Statuses in request order, null when unknown
+     */
+    async getSignatureStatuses(signatures) {
+        const result = await this.call('getSignatureStatuses', [
+            signatures,
+            { searchTransactionHistory: false }
+        ]);
+
+        return result ? result.value : [];
+    }
+
+    /**
+     * Utility delay function
+     * @param {number} ms - Milliseconds to delay
+     * @returns {Promise} Promise that resolves after delay
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Update commitment used for queries
+     * @param {string} commitment - 'confirmed' or 'finalized'
+     */
+    updateCommitment(commitment) {
+        this.options.commitment = commitment;
+    }
+
+    /**
+     * Point the service at different endpoints
+     * @param {Object} endpoints - Endpoint URLs
+     * @param {string|null} endpoints.rpcUrl - Fixed RPC URL, or null to use Helius with API keys
+     * @param {string} [endpoints.heliusRpcUrl] - Helius RPC base URL
+     */
+    updateEndpoints({ rpcUrl, heliusRpcUrl }) {
+        this.options.rpcUrl = rpcUrl;
+        if (heliusRpcUrl) {
+            this.options.heliusRpcUrl = heliusRpcUrl;
+        }
+    }
+
+    /**
+     * Update API keys
+     * @param {Array<string>} newApiKeys - New API keys
+     */
+    updateApiKeys(newApiKeys) {
+        this.options.apiKeys = newApiKeys;
+        this.currentApiKeyIndex = 0;
+    }
+}
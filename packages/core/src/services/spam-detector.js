@@ -0,0 +1,231 @@
+/**
+ * Spam Detector
+ * Scores how likely a transaction is junk sent to the tracked wallets rather
+ * than something they did: dust, worthless airdrops, address poisoning from
+ * lookalikes of wallets they deal with, and advertising memos
+ */
+
+import { flattenInstructions } from '../utils/instruction-tree.js';
+import { compareAmounts } from '../utils/token-amount.js';
+
+// How much each signal adds to the score, which is capped at 1
+export const SPAM_SIGNAL_WEIGHTS = {
+    dust: 0.4,
+    'worthless-token': 0.5,
+    lookalike: 0.6,
+    'memo-spam': 0.5
+};
+
+const MEMO_PROGRAM_IDS = new Set([
+    'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+    'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo'
+]);
+
+// Links and the wording of fake claims
+const MEMO_SPAM_PATTERNS = [
+    /https?:\/\/|www\.|\.(com|io|xyz|app|net|org)\b|t\.me\//i,
+    /\b(airdrop|claim|reward|eligible|visit|voucher)\b/i
+];
+
+// Counterparty labels that stand for a wallet someone could imitate
+const WALLET_LABELS = new Set(['wallet', 'tracked-wallet']);
+
+/**
+ * Check whether a market value is known to be zero
+ * @param {number|string|null} value - Value, null when unknown
+ * @returns {boolean} Known zero
+ */
+function isZero(value) {
+    return value !== null && value !== undefined && compareAmounts(value, 0) === 0;
+}
+
+export class SpamDetector {
+    constructor(options = {}) {
+        this.options = {
+            dustLamports: options.dustLamports || 100000, // 0.0001 SOL
+            lookalikeLength: options.lookalikeLength || 4,
+            maxCounterparties: options.maxCounterparties || 100,
+            memoPatterns: options.memoPatterns || MEMO_SPAM_PATTERNS,
+            ...options
+        };
+
+        this.weights = { ...SPAM_SIGNAL_WEIGHTS, ...this.options.weights };
+        this.tokenDataService = options.tokenDataService || null;
+
+        // Wallet address -> counterparties it chose to deal with, oldest first
+        this.counterparties = new Map();
+    }
+
+    /**
+     * Set `spamScore` (0 to 1) and `spamSignals` on a normalized transaction,
+     * in place. Only wallets that did not sign can be spammed; the counterparties
+     * of those that did are remembered for lookalike checks.
+     * @param {Object} transaction - Transaction from TransactionNormalizer
+     * @returns {Object} The same transaction
+     */
+    score(transaction) {
+        const signers = new Set((transaction.accounts || [])
+            .filter(account => account.signer)
+            .map(account => account.pubkey));
+        const signals = new Set();
+
+        for (const wallet of transaction.wallets || []) {
+            if (signers.has(wallet.walletAddress)) {
+                this.remember(wallet);
+                continue;
+            }
+
+            const walletSignals = this.getSignals(transaction, wallet);
+            walletSignals.forEach(signal => signals.add(signal));
+        }
+
+        transaction.spamSignals = Array.from(signals);
+        transaction.spamScore = Math.min(1, transaction.spamSignals
+            .reduce((score, signal) => score + this.weights[signal], 0));
+
+        return transaction;
+    }
+
+    /**
+     * Collect the spam signals of what one wallet received unasked
+     * @param {Object} transaction - Normalized transaction
+     * @param {Object} wallet - The wallet's perspective
+     * @returns {Array<string>} Signals, keys of SPAM_SIGNAL_WEIGHTS
+     */
+    getSignals(transaction, wallet) {
+        const signals = [];
+
+        if (wallet.nativeChange > 0 && wallet.nativeChange < this.options.dustLamports) {
+            signals.push('dust');
+        }
+
+        const received = wallet.tokenChanges.filter(change => BigInt(change.change) > 0n);
+        if (this.hasWorthlessToken(received)) {
+            signals.push('worthless-token');
+        }
+
+        if (this.isLookalike(wallet)) {
+            signals.push('lookalike');
+        }
+
+        if (this.hasSpamMemo(transaction.instructions || [])) {
+            signals.push('memo-spam');
+        }
+
+        return signals;
+    }
+
+    /**
+     * Check whether any received token is priced at zero or has zero liquidity,
+     * going by the token data already cached; scoring never calls Birdeye, as it
+     * runs on every transaction, including those the filters then drop
+     * @param {Array<Object>} tokenChanges - Incoming token changes
+     * @returns {boolean} Worthless token received
+     */
+    hasWorthlessToken(tokenChanges) {
+        if (!this.tokenDataService) {
+            return false;
+        }
+
+        // Tokens not cached come back as null, and fields Birdeye left out as null;
+        // neither proves anything either way
+        return tokenChanges.some(change => {
+            const token = this.tokenDataService.getCachedToken(change.mint);
+            return token && (isZero(token.priceUsd) || isZero(token.liquidity));
+        });
+    }
+
+    /**
+     * Check whether a wallet's counterparties imitate the wallet or one it dealt with
+     * @param {Object} wallet - Wallet perspective
+     * @returns {boolean} Lookalike counterparty
+     */
+    isLookalike(wallet) {
+        const known = [
+            wallet.walletAddress,
+            ...(this.counterparties.get(wallet.walletAddress) || [])
+        ];
+        const candidates = [
+            wallet.counterparty,
+            ...wallet.tokenChanges.map(change => change.counterparty)
+        ].filter(Boolean);
+
+        return candidates.some(candidate =>
+            known.some(address => this.looksLike(candidate, address))
+        );
+    }
+
+    /**
+     * Check whether two different addresses share their first and last characters,
+     * the part wallets show when they shorten an address
+     * @param {string} address - Address
+     * @param {string} other - Address it may imitate
+     * @returns {boolean} Lookalike
+     */
+    looksLike(address, other) {
+        const length = this.options.lookalikeLength;
+
+        return address !== other &&
+            address.slice(0, length) === other.slice(0, length) &&
+            address.slice(-length) === other.slice(-length);
+    }
+
+    /**
+     * Check whether a memo instruction carries advertising
+     * @param {Array<Object>} instructions - Instruction tree
+     * @returns {boolean} Spam memo found
+     */
+    hasSpamMemo(instructions) {
+        // jsonParsed gives the memo text as `parsed`
+        return flattenInstructions(instructions).some(instruction =>
+            MEMO_PROGRAM_IDS.has(instruction.programId) &&
+            typeof instruction.parsed === 'string' &&
+            this.options.memoPatterns.some(pattern => pattern.test(instruction.parsed))
+        );
+    }
+
+    /**
+     * Remember the wallets a tracked wallet chose to deal with
+     * @param {Object} wallet - Perspective of a wallet that signed
+     */
+    remember(wallet) {
+        const counterparties = [
+            [wallet.counterparty, wallet.counterpartyLabel],
+            ...wallet.tokenChanges.map(change => [change.counterparty, change.counterpartyLabel])
+        ].filter(([address, label]) => address && WALLET_LABELS.has(label));
+
+        if (counterparties.length === 0) {
+            return;
+        }
+
+        if (!this.counterparties.has(wallet.walletAddress)) {
+            this.counterparties.set(wallet.walletAddress, new Set());
+        }
+
+        const known = this.counterparties.get(wallet.walletAddress);
+        for (const [address] of counterparties) {
+            // Re-adding moves the address to the newest end
+            known.delete(address);
+            known.add(address);
+        }
+
+        while (known.size > this.options.maxCounterparties) {
+            known.delete(known.values().next().value);
+        }
+    }
+
+    /**
+     * Forget the counterparties remembered for a wallet
+     * @param {string} walletAddress - Wallet address
+     */
+    forgetWallet(walletAddress) {
+        this.counterparties.delete(walletAddress);
+    }
+
+    /**
+     * Forget every remembered counterparty
+     */
+    clear() {
+        this.counterparties.clear();
+    }
+}
@@ -0,0 +1,102 @@
+import { SpamDetector } from './spam-detector.js';
+
+const WALLET = 'WaLLet1111111111111111111111111111111111abcd';
+const FRIEND = 'FrNd999999999999999999999999999999999999wxyz';
+const MEMO_PROGRAM = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+
+const TOKENS = {
+    JUNK: { priceUsd: 0, liquidity: 0 },
+    GOOD: { priceUsd: 1, liquidity: 1000000 },
+    UNLISTED: { priceUsd: 0.5, liquidity: null },
+    UNPRICED: { priceUsd: null, liquidity: 2000 }
+};
+
+const perspective = (extra = {}) => ({
+    walletAddress: WALLET,
+    nativeChange: 0,
+    tokenChanges: [],
+    counterparty: null,
+    counterpartyLabel: null,
+    ...extra
+});
+
+const received = (wallet = perspective(), extra = {}) => ({
+    accounts: [{ pubkey: 'Sender', signer: true }],
+    instructions: [],
+    wallets: [wallet],
+    ...extra
+});
+
+describe('SpamDetector', () => {
+    let detector;
+
+    beforeEach(() => {
+        detector = new SpamDetector({
+            tokenDataService: { getCachedToken: mint => TOKENS[mint] || null }
+        });
+    });
+
+    test('flags dust deposits', () => {
+        const transaction = detector.score(received(perspective({ nativeChange: 1 })));
+
+        expect(transaction.spamSignals).toEqual(['dust']);
+        expect(transaction.spamScore).toBe(0.4);
+    });
+
+    test('flags tokens known to be priced at zero or without liquidity', () => {
+        const wallet = perspective({ tokenChanges: [{ mint: 'JUNK', change: '1000' }] });
+
+        expect(detector.score(received(wallet)).spamSignals).toEqual(['worthless-token']);
+    });
+
+    test('does not flag tokens whose price or liquidity is unknown', () => {
+        const wallet = perspective({
+            tokenChanges: [
+                { mint: 'UNLISTED', change: '5' },
+                { mint: 'UNPRICED', change: '5' },
+                { mint: 'NOT_CACHED', change: '5' }
+            ]
+        });
+
+        expect(detector.score(received(wallet)).spamScore).toBe(0);
+    });
+
+    test('flags lookalikes of wallets the tracked wallet dealt with', () => {
+        detector.score({
+            accounts: [{ pubkey: WALLET, signer: true }],
+            wallets: [perspective({
+                nativeChange: -1000000000,
+                counterparty: FRIEND,
+                counterpartyLabel: 'wallet'
+            })]
+        });
+
+        const wallet = perspective({
+            nativeChange: 2000000,
+            counterparty: 'FrNdAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwxyz'
+        });
+
+        expect(detector.score(received(wallet)).spamSignals).toEqual(['lookalike']);
+
+        detector.forgetWallet(WALLET);
+        expect(detector.score(received(wallet)).spamSignals).toEqual([]);
+    });
+
+    test('flags advertising memos and caps the score at 1', () => {
+        const transaction = detector.score(received(
+            perspective({ nativeChange: 1, tokenChanges: [{ mint: 'JUNK', change: '1' }] }),
+            { instructions: [{ programId: MEMO_PROGRAM, parsed: 'Claim at scam.xyz' }] }
+        ));
+
+        expect(transaction.spamSignals).toEqual(['dust', 'worthless-token', 'memo-spam']);
+        expect(transaction.spamScore).toBe(1);
+    });
+
+    test('scores transactions the tracked wallet signed as 0', () => {
+        const transaction = detector.score(received(perspective({ nativeChange: 1 }), {
+            accounts: [{ pubkey: WALLET, signer: true }]
+        }));
+
+        expect(transaction.spamScore).toBe(0);
+    });
+});
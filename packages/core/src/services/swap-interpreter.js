@@ -0,0 +1,138 @@
+/**
+ * Swap Interpreter
+ * Reads a wallet's net balance changes as a swap: what went in, what came
+ * out, at what price, and whether that is a buy or a sell
+ */
+
+import { NATIVE_MINT, USDC_MINT, USDT_MINT } from '../utils/token-mints.js';
+import { absAmount, compareAmounts, divideAmounts, formatUnits } from '../utils/token-amount.js';
+
+// Quote mints, strongest first: SOL -> USDC is selling SOL, not buying USDC
+export const QUOTE_MINTS = [USDC_MINT, USDT_MINT, NATIVE_MINT];
+
+const SOL_DECIMALS = 9;
+
+/**
+ * @typedef {Object} Swap
+ * @property {string} inMint - Mint the wallet put into the swap (native SOL as NATIVE_MINT)
+ * @property {string} inAmount - UI amount put in, as a decimal string
+ * @property {string} outMint - Mint the wallet got out of the swap
+ * @property {string} outAmount - UI amount got out, as a decimal string
+ * @property {string|null} side - 'buy' or 'sell' of the base token against a
+ *   quote mint, null when neither or both legs are quote mints of equal rank
+ * @property {string} baseMint - Token bought or sold (outMint when side is null)
+ * @property {string} quoteMint - Mint the price is expressed in (inMint when side is null)
+ * @property {string} price - quoteMint units per baseMint unit, as a decimal string
+ */
+
+export class SwapInterpreter {
+    constructor(options = {}) {
+        this.options = {
+            quoteMints: options.quoteMints || QUOTE_MINTS,
+            ...options
+        };
+    }
+
+    /**
+     * Interpret one wallet's perspective as a swap
+     * @param {Object} perspective - Wallet perspective from TransactionNormalizer
+     * @returns {Swap|null} Swap, or null when nothing was exchanged
+     */
+    interpret(perspective) {
+        const legs = this.getLegs(perspective);
+
+        const input = this.pickLeg(legs.filter(leg => BigInt(leg.change) < 0n));
+        const output = this.pickLeg(legs.filter(leg => BigInt(leg.change) > 0n));
+
+        if (!input || !output || input.mint === output.mint) {
+            return null;
+        }
+
+        const swap = {
+            inMint: input.mint,
+            inAmount: absAmount(input.uiChange),
+            outMint: output.mint,
+            outAmount: output.uiChange,
+            side: null,
+            baseMint: output.mint,
+            quoteMint: input.mint,
+            price: '0'
+        };
+
+        const inRank = this.getQuoteRank(input.mint);
+        const outRank = this.getQuoteRank(output.mint);
+
+        if (inRank < outRank) {
+            swap.side = 'buy';
+        } else if (outRank < inRank) {
+            swap.side = 'sell';
+            swap.baseMint = input.mint;
+            swap.quoteMint = output.mint;
+        }
+
+        const baseAmount = swap.baseMint === swap.outMint ? swap.outAmount : swap.inAmount;
+        const quoteAmount = swap.quoteMint === swap.inMint ? swap.inAmount : swap.outAmount;
+        swap.price = compareAmounts(baseAmount, 0) > 0
+            ? divideAmounts(quoteAmount, baseAmount)
+            : '0';
+
+        return swap;
+    }
+
+    /**
+     * Collect the wallet's legs, folding wrapped SOL into native SOL
+     * @param {Object} perspective - Wallet perspective
+     * @returns {Array<Object>} Legs { mint, change, uiChange }
+     */
+    getLegs(perspective) {
+        // Wrapping and unwrapping moves SOL between the wallet and its wSOL account
+        let lamports = BigInt(perspective.nativeChange);
+        const legs = [];
+
+        for (const tokenChange of perspective.tokenChanges) {
+            if (tokenChange.mint === NATIVE_MINT) {
+                lamports += BigInt(tokenChange.change);
+            } else {
+                legs.push(tokenChange);
+            }
+        }
+
+        if (lamports !== 0n) {
+            legs.push({
+                mint: NATIVE_MINT,
+                change: lamports.toString(),
+                uiChange: formatUnits(lamports, SOL_DECIMALS),
+                isNative: true
+            });
+        }
+
+        return legs;
+    }
+
+    /**
+     * Pick the leg that represents one side of the swap
+     * @param {Array<Object>} legs - Legs moving in the same direction
+     * @returns {Object|null} Leg
+     */
+    pickLeg(legs) {
+        // SOL moving alongside a token is rent, tips or routing dust, not the trade
+        const tokenLegs = legs.filter(leg => !leg.isNative);
+        const candidates = tokenLegs.length > 0 ? tokenLegs : legs;
+
+        return candidates.reduce((largest, leg) =>
+            (!largest || compareAmounts(absAmount(leg.uiChange), absAmount(largest.uiChange)) > 0
+                ? leg
+                : largest),
+        null);
+    }
+
+    /**
+     * Rank a mint as a quote currency
+     * @param {string} mint - Mint address
+     * @returns {number} Position in quoteMints, Infinity for other tokens
+     */
+    getQuoteRank(mint) {
+        const rank = this.options.quoteMints.indexOf(mint);
+        return rank === -1 ? Infinity : rank;
+    }
+}
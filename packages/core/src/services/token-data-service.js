@@ -4,12 +4,17 @@
  */
 
 import { Logger } from '../utils/logger.js';
+import { NETWORK_PROFILES, DEFAULT_NETWORK } from '../utils/network-profiles.js';
 
 export class TokenDataService {
     constructor(options = {}) {
         this.options = {
             cacheTimeout: options.cacheTimeout || 300000, // 5 minutes
             birdeyeApiKey: options.birdeyeApiKey || null,
+            // null on clusters Birdeye does not cover; token data is then unavailable
+            birdeyeApiUrl: options.birdeyeApiUrl !== undefined
+                ? options.birdeyeApiUrl
+                : NETWORK_PROFILES[DEFAULT_NETWORK].birdeyeApiUrl,
             maxRetries: options.maxRetries || 3,
             retryDelay: options.retryDelay || 1000,
             ...options
@@ -25,6 +30,10 @@ export class TokenDataService {
         this.batchQueue = new Set();
         this.batchTimer = null;
         
+        // Mint -> creation time (ms); it never changes, so it never expires
+        this.creationCache = new Map();
+        this.pendingCreations = new Map();
+
         this.logger = new Logger({ prefix: '[TokenData]' });
         
         // Setup cache cleanup
@@ -46,7 +55,7 @@ export class TokenDataService {
      * @returns {Promise<Object|null>} Token data or null
      */
     async getTokenData(tokenMint) {
-        if (!tokenMint) {
+        if (!tokenMint || !this.options.birdeyeApiUrl) {
             return null;
         }
 
@@ -83,7 +92,17 @@ export class TokenDataService {
      * @returns {Promise<Object>} Token data
      */
     async fetchTokenData(tokenMint) {
-        const url = `https://public-api.birdeye.so/defi/token_overview?address=${tokenMint}`;
+        const data = await this.requestBirdeye(`/defi/token_overview?address=${tokenMint}`);
+        return this.processTokenData(data);
+    }
+
+    /**
+     * Call a Birdeye endpoint, retrying with backoff
+     * @param {string} path - Path and query after the base URL
+     * @returns {Promise<Object>} The response's `data`
+     */
+    async requestBirdeye(path) {
+        const url = `${this.options.birdeyeApiUrl}${path}`;
         
         const headers = {
             'X-API-KEY': this.options.birdeyeApiKey,
@@ -103,7 +122,7 @@ export class TokenDataService {
                 const data = await response.json();
                 
                 if (data.success && data.data) {
-                    return this.processTokenData(data.data);
+                    return data.data;
                 } else {
                     throw new Error('Invalid API response format');
                 }
@@ -133,14 +152,15 @@ export class TokenDataService {
             name: rawData.name || 'Unknown Token',
             decimals: rawData.decimals || 9,
             logoURI: rawData.logo_uri || null,
-            price: rawData.price || 0,
-            priceUsd: rawData.price || 0,
-            priceChange24h: rawData.price_change_24h || 0,
-            volume24h: rawData.volume_24h || 0,
-            marketCap: rawData.market_cap || 0,
-            supply: rawData.total_supply || 0,
-            circulatingSupply: rawData.circulating_supply || 0,
-            liquidity: rawData.liquidity || 0,
+            // Market fields Birdeye leaves out stay null, unknown rather than zero
+            price: rawData.price ?? null,
+            priceUsd: rawData.price ?? null,
+            priceChange24h: rawData.price_change_24h ?? null,
+            volume24h: rawData.volume_24h ?? null,
+            marketCap: rawData.market_cap ?? null,
+            supply: rawData.total_supply ?? null,
+            circulatingSupply: rawData.circulating_supply ?? null,
+            liquidity: rawData.liquidity ?? null,
             lastUpdated: Date.now(),
             extensions: {
                 website: rawData.website || null,
@@ -171,7 +191,7 @@ export class TokenDataService {
         }
 
         // Fetch uncached tokens
-        if (toFetch.length > 0) {
+        if (toFetch.length > 0 && this.options.birdeyeApiUrl) {
             const batchResults = await this.fetchBatchTokenData(toFetch);
             
             for (const [mint, data] of batchResults) {
@@ -264,6 +284,38 @@ export class TokenDataService {
         }
     }
 
+    /**
+     * Get when a token was created
+     * @param {string} tokenMint - Token mint address
+     * @returns {Promise<number|null>} Creation time in ms, null when unknown
+     */
+    async getTokenCreationTime(tokenMint) {
+        if (!tokenMint || !this.options.birdeyeApiUrl) {
+            return null;
+        }
+
+        if (this.creationCache.has(tokenMint)) {
+            return this.creationCache.get(tokenMint);
+        }
+
+        if (!this.pendingCreations.has(tokenMint)) {
+            const path = `/defi/token_creation_info?address=${tokenMint}`;
+            this.pendingCreations.set(tokenMint, this.requestBirdeye(path));
+        }
+
+        try {
+            const data = await this.pendingCreations.get(tokenMint);
+            const createdAt = data.blockUnixTime ? data.blockUnixTime * 1000 : null;
+            this.creationCache.set(tokenMint, createdAt);
+            return createdAt;
+        } catch (error) {
+            this.logger.error(`Failed to fetch creation time for ${tokenMint}:`, error);
+            return null;
+        } finally {
+            this.pendingCreations.delete(tokenMint);
+        }
+    }
+
     /**
      * Get cached token data
      * @param {string} tokenMint - Token mint address
@@ -405,6 +457,7 @@ export class TokenDataService {
         this.cache.clear();
         this.priceCache.clear();
         this.logoCache.clear();
+        this.creationCache.clear();
         this.logger.info('All caches cleared');
     }
 
@@ -426,6 +479,9 @@ export class TokenDataService {
                 size: this.logoCache.size,
                 timeout: 3600000
             },
+            creationCache: {
+                size: this.creationCache.size
+            },
             pendingRequests: this.pendingRequests.size
         };
     }
@@ -447,4 +503,13 @@ export class TokenDataService {
         this.options.birdeyeApiKey = apiKey;
         this.logger.info('Birdeye API key updated');
     }
+
+    /**
+     * Point the service at another Birdeye endpoint, dropping data cached from the old one
+     * @param {string|null} birdeyeApiUrl - Birdeye base URL, or null to disable token data
+     */
+    updateEndpoint(birdeyeApiUrl) {
+        this.options.birdeyeApiUrl = birdeyeApiUrl;
+        this.clearCache();
+    }
 }
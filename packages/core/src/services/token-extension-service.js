@@ -0,0 +1,261 @@
+/**
+ * Token Extension Service
+ * Looks up the extensions each Token-2022 mint enables and applies their
+ * semantics to token transfers: fees withheld from what a recipient got, and
+ * balances that moved through confidential transfers
+ */
+
+import { flattenInstructions } from '../utils/instruction-tree.js';
+import { TOKEN_2022_PROGRAM_ID } from '../utils/token-programs.js';
+import { Logger } from '../utils/logger.js';
+
+// jsonParsed program name of Token-2022 instructions
+const TOKEN_2022_PROGRAM = 'spl-token-2022';
+
+const TRANSFER_TYPES = new Set(['transfer', 'transferChecked', 'transferCheckedWithFee']);
+
+export class TokenExtensionService {
+    constructor(options = {}) {
+        this.options = {
+            maxMints: options.maxMints || 1000,
+            failureTimeout: options.failureTimeout || 60000, // 1 minute
+            ...options
+        };
+
+        this.rpcService = options.rpcService;
+
+        // Mint -> extension names, oldest first
+        this.mints = new Map();
+        this.mintFetches = new Map(); // mint -> in-flight fetch
+        this.failedMints = new Map(); // mint -> time its last fetch failed
+
+        this.logger = new Logger({ prefix: '[TokenExtensions]' });
+    }
+
+    /**
+     * Check whether a raw transaction moves Token-2022 mints not looked up yet
+     * @param {Object} rawData - Raw transaction data
+     * @returns {boolean} Needs resolution
+     */
+    needsResolution(rawData) {
+        return this.getToken2022Mints(rawData).some(mint => this.shouldFetch(mint));
+    }
+
+    /**
+     * Look up the extensions of the transaction's Token-2022 mints
+     * @param {Object} rawData - Raw transaction data
+     * @returns {Promise<boolean>} Whether every mint looked up was resolved
+     */
+    async resolve(rawData) {
+        const missing = this.getToken2022Mints(rawData).filter(mint => this.shouldFetch(mint));
+        const results = await Promise.allSettled(missing.map(mint => this.getMint(mint)));
+
+        const failures = results.filter(result => result.status === 'rejected');
+        for (const failure of failures) {
+            const message = failure.reason.message;
+            this.logger.warn(`Mint extensions unresolved for ${rawData.signature}:`, message);
+        }
+
+        return failures.length === 0;
+    }
+
+    /**
+     * Check whether a mint is neither cached nor failed within the failure timeout
+     * @param {string} mint - Mint address
+     * @returns {boolean} Should fetch
+     */
+    shouldFetch(mint) {
+        if (this.mints.has(mint)) {
+            return false;
+        }
+
+        const failedAt = this.failedMints.get(mint);
+        if (failedAt === undefined) {
+            return true;
+        }
+
+        // Until the timeout passes, transfers of the mint go without its extensions
+        if (Date.now() - failedAt < this.options.failureTimeout) {
+            return false;
+        }
+
+        this.failedMints.delete(mint);
+        return true;
+    }
+
+    /**
+     * Get the extensions a mint enables
+     * @param {string} mint - Mint address
+     * @returns {Array<string>} Extension names such as 'transferFeeConfig', empty when unknown
+     */
+    getExtensions(mint) {
+        return this.mints.get(mint) || [];
+    }
+
+    /**
+     * Add Token-2022 details to the transfers of a processed transaction, in place:
+     * `extensions` of the mint, `transferFee` withheld from what the account
+     * received (base units, integer string) and `confidential` when the account
+     * moved tokens its public balance does not show
+     * @param {Array<Object>} transfers - Token transfers
+     * @param {Array<Object>} instructions - Instruction tree
+     * @returns {Array<Object>} The same transfers
+     */
+    annotateTransfers(transfers, instructions) {
+        const flows = this.getAccountFlows(instructions);
+
+        for (const transfer of transfers) {
+            const flow = flows.get(transfer.account);
+
+            transfer.extensions = transfer.programId === TOKEN_2022_PROGRAM_ID
+                ? this.getExtensions(transfer.mint)
+                : [];
+            transfer.transferFee = this.getTransferFee(transfer, flow).toString();
+            transfer.confidential = Boolean(flow && flow.confidential);
+        }
+
+        return transfers;
+    }
+
+    /**
+     * Work out the fee withheld from one account's incoming transfers
+     * @param {Object} transfer - Token transfer with extensions set
+     * @param {Object} flow - The account's flows from getAccountFlows
+     * @returns {bigint} Fee in base units
+     */
+    getTransferFee(transfer, flow) {
+        if (!flow) {
+            return 0n;
+        }
+
+        // transferCheckedWithFee states the fee
+        if (flow.withheld > 0n) {
+            return flow.withheld;
+        }
+
+        if (!transfer.extensions.includes('transferFeeConfig')) {
+            return 0n;
+        }
+
+        // Otherwise it is what was sent to the account but never landed in its balance
+        const fee = flow.grossIn - flow.grossOut - BigInt(transfer.change);
+        return fee > 0n ? fee : 0n;
+    }
+
+    /**
+     * Sum the Token-2022 transfer instructions per token account
+     * @param {Array<Object>} instructions - Instruction tree
+     * @returns {Map<string, Object>} Account -> { grossIn, grossOut, withheld, confidential }
+     */
+    getAccountFlows(instructions) {
+        const flows = new Map();
+        const getFlow = account => {
+            if (!flows.has(account)) {
+                flows.set(account, {
+                    grossIn: 0n,
+                    grossOut: 0n,
+                    withheld: 0n,
+                    confidential: false
+                });
+            }
+            return flows.get(account);
+        };
+
+        for (const instruction of flattenInstructions(instructions)) {
+            if (instruction.program !== TOKEN_2022_PROGRAM || !instruction.parsed) {
+                continue;
+            }
+
+            const { type, info = {} } = instruction.parsed;
+
+            if (TRANSFER_TYPES.has(type)) {
+                const tokenAmount = info.tokenAmount ? info.tokenAmount.amount : info.amount;
+                const amount = BigInt(tokenAmount || 0);
+                getFlow(info.source).grossOut += amount;
+                getFlow(info.destination).grossIn += amount;
+
+                if (info.feeAmount) {
+                    getFlow(info.destination).withheld += BigInt(info.feeAmount.amount);
+                }
+            } else if (/confidential/i.test(type)) {
+                // Deposits, withdrawals and transfers between encrypted balances
+                ['source', 'destination', 'account']
+                    .filter(key => typeof info[key] === 'string')
+                    .forEach(key => {
+                        getFlow(info[key]).confidential = true;
+                    });
+            }
+        }
+
+        return flows;
+    }
+
+    /**
+     * List the distinct Token-2022 mints in a transaction's token balances
+     * @param {Object} rawData - Raw transaction data
+     * @returns {Array<string>} Mints
+     */
+    getToken2022Mints(rawData) {
+        const meta = rawData.transaction?.meta;
+        const balances = [...(meta?.preTokenBalances || []), ...(meta?.postTokenBalances || [])];
+
+        return Array.from(new Set(balances
+            .filter(balance => balance.programId === TOKEN_2022_PROGRAM_ID)
+            .map(balance => balance.mint)));
+    }
+
+    /**
+     * Get a mint's extension names, sharing fetches already in flight
+     * @param {string} mint - Mint address
+     * @returns {Promise<Array<string>>} Extension names
+     */
+    async getMint(mint) {
+        if (!this.mintFetches.has(mint)) {
+            const request = this.fetchMint(mint).finally(() => {
+                this.mintFetches.delete(mint);
+            });
+            this.mintFetches.set(mint, request);
+        }
+
+        return this.mintFetches.get(mint);
+    }
+
+    /**
+     * Fetch a mint over RPC and cache its extension names, or the time it failed
+     * @param {string} mint - Mint address
+     * @returns {Promise<Array<string>>} Extension names
+     */
+    async fetchMint(mint) {
+        let extensions;
+        try {
+            extensions = await this.rpcService.getMintExtensions(mint);
+        } catch (error) {
+            this.failedMints.delete(mint);
+            this.failedMints.set(mint, Date.now());
+
+            while (this.failedMints.size > this.options.maxMints) {
+                this.failedMints.delete(this.failedMints.keys().next().value);
+            }
+            throw error;
+        }
+
+        const names = extensions.map(extension => extension.extension);
+
+        this.failedMints.delete(mint);
+        this.mints.set(mint, names);
+
+        while (this.mints.size > this.options.maxMints) {
+            this.mints.delete(this.mints.keys().next().value);
+        }
+
+        return names;
+    }
+
+    /**
+     * Forget cached mints, e.g. after switching cluster
+     */
+    clear() {
+        this.mints.clear();
+        this.failedMints.clear();
+    }
+}
@@ -0,0 +1,70 @@
+import { TokenExtensionService } from './token-extension-service.js';
+import { TOKEN_2022_PROGRAM_ID } from '../utils/token-programs.js';
+
+const transfer = (signature, mint) => ({
+    signature,
+    transaction: {
+        meta: {
+            preTokenBalances: [],
+            postTokenBalances: [{ mint, programId: TOKEN_2022_PROGRAM_ID }]
+        }
+    }
+});
+
+describe('TokenExtensionService', () => {
+    let service;
+    let lookups;
+    let failing;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+
+        lookups = [];
+        failing = true;
+        service = new TokenExtensionService({
+            failureTimeout: 30000,
+            rpcService: {
+                getMintExtensions: async mint => {
+                    lookups.push(mint);
+                    if (failing) {
+                        throw new Error('429 Too Many Requests');
+                    }
+                    return [{ extension: 'transferFeeConfig' }];
+                }
+            }
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('does not refetch a failed mint on every transfer', async () => {
+        expect(await service.resolve(transfer('first', 'Fee'))).toBe(false);
+
+        expect(service.needsResolution(transfer('second', 'Fee'))).toBe(false);
+        expect(await service.resolve(transfer('second', 'Fee'))).toBe(true);
+        expect(lookups).toEqual(['Fee']);
+        expect(service.getExtensions('Fee')).toEqual([]);
+    });
+
+    test('retries a failed mint once the failure timeout passes', async () => {
+        await service.resolve(transfer('first', 'Fee'));
+
+        failing = false;
+        jest.advanceTimersByTime(30000);
+
+        expect(service.needsResolution(transfer('later', 'Fee'))).toBe(true);
+        expect(await service.resolve(transfer('later', 'Fee'))).toBe(true);
+        expect(lookups).toEqual(['Fee', 'Fee']);
+        expect(service.getExtensions('Fee')).toEqual(['transferFeeConfig']);
+        expect(service.failedMints.size).toBe(0);
+    });
+
+    test('forgets failures when cleared', async () => {
+        await service.resolve(transfer('first', 'Fee'));
+        service.clear();
+
+        expect(service.needsResolution(transfer('second', 'Fee'))).toBe(true);
+    });
+});
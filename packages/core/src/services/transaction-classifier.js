@@ -0,0 +1,220 @@
+/**
+ * Transaction Classifier
+ * Gives each normalized transaction one primary type and a set of detail
+ * tags, from its decoded instructions and the tracked wallets' balance changes
+ */
+
+import { flattenInstructions } from '../utils/instruction-tree.js';
+import { absAmount } from '../utils/token-amount.js';
+
+// Primary types, in the order they win when a transaction carries several
+export const TRANSACTION_TYPES = [
+    'nft',
+    'lp',
+    'stake',
+    'swap',
+    'mint',
+    'burn',
+    'transfer',
+    'order',
+    'account',
+    'unknown'
+];
+
+// Actions from the instruction decoders
+const DECODED_ACTION_TAGS = {
+    swap: 'swap',
+    buy: 'swap',
+    sell: 'swap',
+    addLiquidity: 'lp.add',
+    openPosition: 'lp.add',
+    removeLiquidity: 'lp.remove',
+    createPool: 'lp.create',
+    createToken: 'token.create',
+    placeOrder: 'order.place',
+    cancelOrder: 'order.cancel'
+};
+
+// Token instructions, the same for the legacy token program and Token-2022
+const TOKEN_INSTRUCTION_TAGS = {
+    mintTo: 'token.mint',
+    mintToChecked: 'token.mint',
+    burn: 'token.burn',
+    burnChecked: 'token.burn',
+    closeAccount: 'account.close',
+    initializeMint: 'token.create',
+    initializeMint2: 'token.create'
+};
+
+// Instructions the RPC node parses itself: program -> parsed type -> tag
+const PARSED_INSTRUCTION_TAGS = {
+    'system': {
+        createAccount: 'account.create',
+        createAccountWithSeed: 'account.create'
+    },
+    'spl-associated-token-account': {
+        create: 'account.create',
+        createIdempotent: 'account.create'
+    },
+    'spl-token': TOKEN_INSTRUCTION_TAGS,
+    'spl-token-2022': TOKEN_INSTRUCTION_TAGS,
+    'stake': {
+        delegate: 'stake.delegate',
+        deactivate: 'stake.deactivate',
+        withdraw: 'stake.withdraw',
+        split: 'stake.split',
+        merge: 'stake.merge'
+    }
+};
+
+// Tags addWalletTags derives from the tracked wallets' balance changes
+const WALLET_TAGS = [
+    'nft.mint',
+    'nft.buy',
+    'nft.sell',
+    'nft.transfer',
+    'swap',
+    'transfer.in',
+    'transfer.out'
+];
+
+// Every tag a classified transaction can carry
+export const TRANSACTION_TAGS = Array.from(new Set([
+    ...Object.values(DECODED_ACTION_TAGS),
+    ...Object.values(PARSED_INSTRUCTION_TAGS).flatMap(tags => Object.values(tags)),
+    ...WALLET_TAGS
+]));
+
+// Tag prefixes that are not a primary type of their own
+const TAG_TYPES = {
+    token: {
+        mint: 'mint',
+        create: 'mint',
+        burn: 'burn'
+    }
+};
+
+/**
+ * Check whether a transaction has a type or tag. A bare category such as
+ * 'transfer' matches its detail tags ('transfer.in', 'transfer.out').
+ * @param {Object} transaction - Classified transaction
+ * @param {string} type - Type or tag
+ * @returns {boolean} Matches
+ */
+export function matchesType(transaction, type) {
+    if (transaction.type === type) {
+        return true;
+    }
+
+    return (transaction.tags || []).some(tag => tag === type || tag.startsWith(`${type}.`));
+}
+
+export class TransactionClassifier {
+    /**
+     * Set `type` and `tags` on a normalized transaction
+     * @param {Object} transaction - Transaction from TransactionNormalizer
+     * @returns {Object} The same transaction
+     */
+    classify(transaction) {
+        const tags = new Set();
+
+        for (const instruction of flattenInstructions(transaction.instructions)) {
+            const tag = this.getInstructionTag(instruction);
+            if (tag) {
+                tags.add(tag);
+            }
+        }
+
+        for (const wallet of transaction.wallets || []) {
+            this.addWalletTags(wallet, tags);
+        }
+
+        transaction.tags = Array.from(tags);
+        transaction.type = this.getPrimaryType(transaction.tags);
+
+        return transaction;
+    }
+
+    /**
+     * Tag one instruction from its decoded label
+     * @param {Object} instruction - Instruction with `decoded` set
+     * @returns {string|null} Tag
+     */
+    getInstructionTag(instruction) {
+        const decoded = instruction.decoded;
+        if (!decoded) {
+            return null;
+        }
+
+        if (instruction.parsed) {
+            const programTags = PARSED_INSTRUCTION_TAGS[decoded.protocol] || {};
+            return programTags[decoded.action] || null;
+        }
+
+        return DECODED_ACTION_TAGS[decoded.action] || null;
+    }
+
+    /**
+     * Tag what one tracked wallet did
+     * @param {Object} wallet - Wallet perspective
+     * @param {Set<string>} tags - Tags collected so far, updated in place
+     */
+    addWalletTags(wallet, tags) {
+        const nftChanges = wallet.tokenChanges.filter(change => this.isNftChange(change));
+        const nftIn = nftChanges.some(change => BigInt(change.change) > 0n);
+        const nftOut = nftChanges.some(change => BigInt(change.change) < 0n);
+
+        if (nftIn && tags.has('token.mint')) {
+            tags.delete('token.mint');
+            tags.add('nft.mint');
+            return;
+        }
+
+        // Paying for an NFT reads as a swap into it; call it what it is
+        if (wallet.swap && (nftIn || nftOut)) {
+            tags.add(nftIn ? 'nft.buy' : 'nft.sell');
+            return;
+        }
+
+        if (nftIn || nftOut) {
+            tags.add('nft.transfer');
+        }
+
+        // Pool deposits trade tokens for LP tokens, and a burn's rent refund looks like a sale
+        const isNotTrade = tags.has('lp.add') || tags.has('lp.remove') || tags.has('token.burn');
+        if (wallet.swap && !isNotTrade) {
+            tags.add('swap');
+        } else if (!wallet.swap && wallet.direction !== 'none') {
+            tags.add(`transfer.${wallet.direction}`);
+        }
+    }
+
+    /**
+     * Check whether a token change moves a single NFT
+     * @param {Object} change - Token change
+     * @returns {boolean} Is NFT
+     */
+    isNftChange(change) {
+        return change.decimals === 0 && absAmount(change.change) === '1';
+    }
+
+    /**
+     * Pick the primary type for a set of tags
+     * @param {Array<string>} tags - Tags
+     * @returns {string} Primary type
+     */
+    getPrimaryType(tags) {
+        const types = new Set(tags.map(tag => this.getTagType(tag)));
+        return TRANSACTION_TYPES.find(type => types.has(type)) || 'unknown';
+    }
+
+    /**
+     * Map a tag to its primary type
+     * @param {string} tag - Tag such as 'transfer.in' or 'token.burn'
+     * @returns {string} Primary type
+     */
+    getTagType(tag) {
+        const [category, detail] = tag.split('.');
+        return TAG_TYPES[category] ? TAG_TYPES[category][detail] : category;
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Transaction Deduplicator
+ * Collapses repeated deliveries of the same signature (one per tracked wallet,
+ * reconnect replays, handover overlap) into a single transaction event
+ */
+
+import { EventEmitter } from '../utils/event-emitter.js';
+
+export class TransactionDeduplicator extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            mergeWindow: options.mergeWindow !== undefined ? options.mergeWindow : 150,
+            ttl: options.ttl || 10 * 60 * 1000, // 10 minutes
+            maxEntries: options.maxEntries || 10000,
+            // What counts as the same transaction; the signature unless a caller needs finer keys
+            getKey: options.getKey || (transaction => transaction.signature),
+            ...options
+        };
+
+        // Keys waiting out the merge window: key -> { transaction, timer }
+        this.pending = new Map();
+
+        // Keys already emitted, oldest first: key -> { trackedWallets, seenAt }
+        this.seen = new Map();
+
+        this.stats = {
+            received: 0,
+            emitted: 0,
+            merged: 0
+        };
+    }
+
+    /**
+     * Add a transaction delivery
+     * @param {Object} transaction - Processed transaction with a trackedWallet
+     * @returns {boolean} Whether this delivery produced (or will produce) a new event
+     */
+    add(transaction) {
+        this.stats.received++;
+        this.pruneExpired();
+
+        if (!transaction.signature) {
+            this.emitTransaction(transaction);
+            return true;
+        }
+
+        const key = this.options.getKey(transaction);
+
+        // Already emitted: fold the wallet into the record listeners hold
+        const seen = this.seen.get(key);
+        if (seen) {
+            this.mergeWallet(seen.trackedWallets, transaction.trackedWallet);
+            this.stats.merged++;
+            return false;
+        }
+
+        // Still inside the merge window: fold the wallet into the buffered transaction
+        const pending = this.pending.get(key);
+        if (pending) {
+            this.mergeWallet(pending.transaction.trackedWallets, transaction.trackedWallet);
+            this.stats.merged++;
+            return false;
+        }
+
+        transaction.trackedWallets = transaction.trackedWallet ? [transaction.trackedWallet] : [];
+
+        if (!this.options.mergeWindow) {
+            this.flush(key, transaction);
+            return true;
+        }
+
+        const timer = setTimeout(() => {
+            this.pending.delete(key);
+            this.flush(key, transaction);
+        }, this.options.mergeWindow);
+
+        this.pending.set(key, { transaction, timer });
+        return true;
+    }
+
+    /**
+     * Add a wallet to a merged wallet list if it is not there yet
+     * @param {Array<string>} trackedWallets - Wallet list to update in place
+     * @param {string} walletAddress - Wallet address
+     */
+    mergeWallet(trackedWallets, walletAddress) {
+        if (walletAddress && !trackedWallets.includes(walletAddress)) {
+            trackedWallets.push(walletAddress);
+        }
+    }
+
+    /**
+     * Remember a key and emit its transaction
+     * @param {string} key - Deduplication key
+     * @param {Object} transaction - Transaction to emit
+     */
+    flush(key, transaction) {
+        this.seen.set(key, {
+            trackedWallets: transaction.trackedWallets,
+            seenAt: Date.now()
+        });
+
+        // Bound memory regardless of traffic; Map keeps insertion order
+        while (this.seen.size > this.options.maxEntries) {
+            this.seen.delete(this.seen.keys().next().value);
+        }
+
+        this.emitTransaction(transaction);
+    }
+
+    /**
+     * Emit a deduplicated transaction
+     * @param {Object} transaction - Transaction
+     */
+    emitTransaction(transaction) {
+        this.stats.emitted++;
+        this.emit('transaction', transaction);
+    }
+
+    /**
+     * Drop remembered keys older than the TTL
+     */
+    pruneExpired() {
+        const cutoff = Date.now() - this.options.ttl;
+
+        for (const [key, entry] of this.seen) {
+            if (entry.seenAt >= cutoff) {
+                break;
+            }
+            this.seen.delete(key);
+        }
+    }
+
+    /**
+     * Check whether a key was already emitted
+     * @param {string} key - Deduplication key, the signature by default
+     * @returns {boolean} Has been seen
+     */
+    hasSeen(key) {
+        return this.seen.has(key) || this.pending.has(key);
+    }
+
+    /**
+     * Get deduplication statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            pending: this.pending.size,
+            remembered: this.seen.size,
+            mergeWindow: this.options.mergeWindow,
+            ttl: this.options.ttl
+        };
+    }
+
+    /**
+     * Forget all signatures and cancel buffered transactions
+     */
+    clear() {
+        for (const { timer } of this.pending.values()) {
+            clearTimeout(timer);
+        }
+
+        this.pending.clear();
+        this.seen.clear();
+    }
+}
@@ -0,0 +1,94 @@
+import { TransactionDeduplicator } from './transaction-deduplicator.js';
+
+const delivery = (signature, trackedWallet) => ({ signature, trackedWallet });
+
+describe('TransactionDeduplicator', () => {
+    let deduplicator;
+    let emitted;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+
+        deduplicator = new TransactionDeduplicator({ mergeWindow: 150, ttl: 60000 });
+        emitted = [];
+        deduplicator.on('transaction', transaction => emitted.push(transaction));
+    });
+
+    afterEach(() => {
+        deduplicator.clear();
+        jest.useRealTimers();
+    });
+
+    test('merges deliveries for several wallets inside the window into one event', () => {
+        expect(deduplicator.add(delivery('sig', 'A'))).toBe(true);
+        expect(deduplicator.add(delivery('sig', 'B'))).toBe(false);
+        expect(deduplicator.add(delivery('sig', 'A'))).toBe(false);
+        expect(emitted).toHaveLength(0);
+
+        jest.advanceTimersByTime(150);
+
+        expect(emitted).toHaveLength(1);
+        expect(emitted[0].trackedWallets).toEqual(['A', 'B']);
+    });
+
+    test('folds late deliveries into the emitted transaction without a second event', () => {
+        deduplicator.add(delivery('sig', 'A'));
+        jest.advanceTimersByTime(150);
+
+        expect(deduplicator.add(delivery('sig', 'C'))).toBe(false);
+        expect(emitted).toHaveLength(1);
+        expect(emitted[0].trackedWallets).toEqual(['A', 'C']);
+        expect(deduplicator.getStats()).toMatchObject({ received: 2, emitted: 1, merged: 1 });
+    });
+
+    test('emits at once without a merge window', () => {
+        deduplicator = new TransactionDeduplicator({ mergeWindow: 0 });
+        deduplicator.on('transaction', transaction => emitted.push(transaction));
+
+        deduplicator.add(delivery('sig', 'A'));
+
+        expect(emitted.map(transaction => transaction.trackedWallets)).toEqual([['A']]);
+    });
+
+    test('treats a signature as new again once the TTL passes', () => {
+        deduplicator.add(delivery('sig', 'A'));
+        jest.advanceTimersByTime(150);
+        expect(deduplicator.hasSeen('sig')).toBe(true);
+
+        jest.advanceTimersByTime(60001);
+
+        expect(deduplicator.add(delivery('sig', 'A'))).toBe(true);
+        jest.advanceTimersByTime(150);
+        expect(emitted).toHaveLength(2);
+    });
+
+    test('forgets the oldest signatures beyond maxEntries', () => {
+        deduplicator = new TransactionDeduplicator({ mergeWindow: 0, maxEntries: 2 });
+
+        ['one', 'two', 'three'].forEach(signature => deduplicator.add(delivery(signature, 'A')));
+
+        expect(deduplicator.hasSeen('one')).toBe(false);
+        expect(deduplicator.hasSeen('three')).toBe(true);
+    });
+
+    test('keys deliveries with a custom getKey', () => {
+        deduplicator = new TransactionDeduplicator({
+            mergeWindow: 0,
+            getKey: transaction => `${transaction.signature}:${transaction.commitment}`
+        });
+        deduplicator.on('transaction', transaction => emitted.push(transaction));
+
+        deduplicator.add({ ...delivery('sig', 'A'), commitment: 'confirmed' });
+        deduplicator.add({ ...delivery('sig', 'A'), commitment: 'finalized' });
+        deduplicator.add({ ...delivery('sig', 'B'), commitment: 'finalized' });
+
+        expect(emitted.map(({ commitment }) => commitment)).toEqual(['confirmed', 'finalized']);
+    });
+
+    test('passes transactions without a signature straight through', () => {
+        deduplicator.add({ trackedWallet: 'A' });
+        deduplicator.add({ trackedWallet: 'A' });
+
+        expect(emitted).toHaveLength(2);
+    });
+});
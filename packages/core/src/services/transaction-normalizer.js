@@ -0,0 +1,292 @@
+/**
+ * Transaction Normalizer
+ * Describes a processed transaction from the point of view of each tracked
+ * wallet it touches, so enrichment, filters and queries share one schema
+ */
+
+import { NATIVE_MINT } from '../utils/token-mints.js';
+import { absAmount, addAmounts, compareAmounts, formatUnits } from '../utils/token-amount.js';
+import { SwapInterpreter } from './swap-interpreter.js';
+import { CounterpartyResolver } from './counterparty-resolver.js';
+
+// Bump when a field below changes meaning or is removed
+export const TRANSACTION_SCHEMA_VERSION = 2;
+
+const SOL_DECIMALS = 9;
+
+/**
+ * One wallet's view of a transaction
+ * @typedef {Object} WalletPerspective
+ * @property {string} walletAddress - Tracked wallet
+ * @property {number} solChange - Net lamport change, fee included
+ * @property {number} nativeChange - Lamport change excluding the fee this wallet paid
+ * @property {Array<Object>} tokenChanges - Net change per mint of the token accounts
+ *   the wallet owns: { mint, change (base units, integer string), decimals,
+ *   uiChange (decimal string), transferFee (base units withheld from what the
+ *   wallet received, integer string), extensions (Token-2022 mint extensions),
+ *   counterparty and counterpartyLabel of its largest transfer }
+ * @property {string|null} tokenMint - Primary mint; NATIVE_MINT when only SOL moved
+ * @property {string} amount - Absolute UI amount of the primary mint, as a decimal string
+ * @property {string} direction - 'in', 'out' or 'none'
+ * @property {string|null} counterparty - Other side of the primary movement: a
+ *   wallet, a venue's vault or the mint, see CounterpartyResolver
+ * @property {string|null} counterpartyLabel - What the counterparty is
+ * @property {Object|null} swap - Exchange the wallet made, see SwapInterpreter
+ */
+
+/**
+ * Fields added to every transaction the tracker emits (schema version 2).
+ * Token amounts are exact decimal strings; lamport amounts stay numbers.
+ * The top-level fields repeat the primary wallet's perspective: the wallet
+ * whose subscription delivered it when that wallet moved funds, otherwise the
+ * first tracked wallet that did.
+ * @typedef {Object} NormalizedFields
+ * @property {number} schemaVersion - TRANSACTION_SCHEMA_VERSION
+ * @property {string|null} walletAddress - Primary wallet
+ * @property {string|null} tokenMint - Primary wallet's primary mint
+ * @property {string} amount - Primary wallet's amount
+ * @property {string} direction - Primary wallet's direction
+ * @property {Object|null} swap - Primary wallet's swap
+ * @property {string|null} counterparty - Primary wallet's counterparty
+ * @property {string|null} counterpartyLabel - Primary wallet's counterparty label
+ * @property {Array<WalletPerspective>} wallets - Every tracked wallet involved
+ */
+
+export class TransactionNormalizer {
+    constructor(options = {}) {
+        this.swapInterpreter = options.swapInterpreter || new SwapInterpreter();
+        this.counterpartyResolver = options.counterpartyResolver || new CounterpartyResolver();
+    }
+
+    /**
+     * Add the wallet-perspective fields to a processed transaction
+     * @param {Object} transaction - Transaction from processTransactionData
+     * @param {Set<string>} trackedWallets - Wallets the tracker follows
+     * @returns {Object} The same transaction with NormalizedFields set
+     */
+    normalize(transaction, trackedWallets) {
+        this.counterpartyResolver.resolve(transaction, trackedWallets);
+
+        const solChanges = this.getSolChangesByOwner(transaction);
+        const tokenChanges = this.getTokenChangesByOwner(transaction);
+        const feePayer = this.getAddress((transaction.accounts || [])[0]);
+
+        // Delivering wallets first, then any other tracked wallet the balances mention
+        const candidates = new Set([
+            ...(transaction.trackedWallets || []),
+            ...(transaction.trackedWallet ? [transaction.trackedWallet] : []),
+            ...solChanges.keys(),
+            ...tokenChanges.keys()
+        ]);
+
+        const wallets = [];
+        for (const walletAddress of candidates) {
+            if (!trackedWallets.has(walletAddress)) {
+                continue;
+            }
+
+            const solChange = solChanges.get(walletAddress) || 0;
+            const fee = walletAddress === feePayer ? transaction.fee || 0 : 0;
+
+            const perspective = this.buildPerspective(
+                walletAddress,
+                solChange,
+                solChange + fee,
+                Array.from((tokenChanges.get(walletAddress) || new Map()).values())
+            );
+            Object.assign(perspective, this.getCounterparty(transaction, perspective));
+
+            // A failed transaction moved nothing but its fee
+            perspective.swap = transaction.status === 'success'
+                ? this.swapInterpreter.interpret(perspective)
+                : null;
+
+            wallets.push(perspective);
+        }
+
+        const primary = wallets.find(wallet => wallet.direction !== 'none') || wallets[0] || null;
+
+        transaction.schemaVersion = TRANSACTION_SCHEMA_VERSION;
+        transaction.walletAddress = primary ? primary.walletAddress : null;
+        transaction.tokenMint = primary ? primary.tokenMint : null;
+        transaction.amount = primary ? primary.amount : '0';
+        transaction.direction = primary ? primary.direction : 'none';
+        transaction.swap = primary ? primary.swap : null;
+        transaction.counterparty = primary ? primary.counterparty : null;
+        transaction.counterpartyLabel = primary ? primary.counterpartyLabel : null;
+        transaction.wallets = wallets;
+
+        return transaction;
+    }
+
+    /**
+     * Derive primary mint, amount and direction for one wallet
+     * @param {string} walletAddress - Wallet address
+     * @param {number} solChange - Net lamport change
+     * @param {number} nativeChange - Lamport change excluding the fee
+     * @param {Array<Object>} tokenChanges - Non-zero token changes
+     * @returns {WalletPerspective} Perspective
+     */
+    buildPerspective(walletAddress, solChange, nativeChange, tokenChanges) {
+        const perspective = {
+            walletAddress,
+            solChange,
+            nativeChange,
+            tokenChanges,
+            tokenMint: null,
+            amount: '0',
+            direction: 'none',
+            counterparty: null,
+            counterpartyLabel: null
+        };
+
+        // A token movement says more than the SOL that paid for it
+        const primaryToken = tokenChanges.reduce((largest, change) =>
+            (!largest || compareAmounts(absAmount(change.uiChange), absAmount(largest.uiChange)) > 0
+                ? change
+                : largest),
+        null);
+
+        if (primaryToken) {
+            perspective.tokenMint = primaryToken.mint;
+            perspective.amount = absAmount(primaryToken.uiChange);
+            perspective.direction = BigInt(primaryToken.change) > 0n ? 'in' : 'out';
+        } else if (nativeChange !== 0) {
+            perspective.tokenMint = NATIVE_MINT;
+            perspective.amount = formatUnits(Math.abs(nativeChange), SOL_DECIMALS);
+            perspective.direction = nativeChange > 0 ? 'in' : 'out';
+        }
+
+        return perspective;
+    }
+
+    /**
+     * Find the other side of a wallet's primary movement
+     * @param {Object} transaction - Transaction with counterparties resolved
+     * @param {WalletPerspective} perspective - Wallet perspective
+     * @returns {Object} { counterparty, counterpartyLabel }
+     */
+    getCounterparty(transaction, perspective) {
+        const tokenChange = perspective.tokenChanges.find(change =>
+            change.mint === perspective.tokenMint
+        );
+        if (tokenChange) {
+            return {
+                counterparty: tokenChange.counterparty,
+                counterpartyLabel: tokenChange.counterpartyLabel
+            };
+        }
+
+        // Only SOL moved: the wallet's largest lamport change with a known other side
+        const solChange = perspective.direction === 'none'
+            ? null
+            : (transaction.balanceChanges || [])
+                .filter(change =>
+                    change.counterparty &&
+                    this.getAddress(change.account) === perspective.walletAddress
+                )
+                .reduce((largest, change) =>
+                    (!largest || Math.abs(change.change) > Math.abs(largest.change)
+                        ? change
+                        : largest),
+                null);
+
+        return {
+            counterparty: solChange ? solChange.counterparty : null,
+            counterpartyLabel: solChange ? solChange.counterpartyLabel : null
+        };
+    }
+
+    /**
+     * Sum lamport changes per account address
+     * @param {Object} transaction - Processed transaction
+     * @returns {Map<string, number>} Address -> lamport change
+     */
+    getSolChangesByOwner(transaction) {
+        const changes = new Map();
+
+        for (const balanceChange of transaction.balanceChanges || []) {
+            const address = this.getAddress(balanceChange.account);
+            if (address) {
+                changes.set(address, (changes.get(address) || 0) + balanceChange.change);
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Sum token changes per owner and mint, dropping mints that net to zero
+     * @param {Object} transaction - Processed transaction
+     * @returns {Map<string, Map<string, Object>>} Owner -> mint -> token change
+     */
+    getTokenChangesByOwner(transaction) {
+        const changes = new Map();
+        const counterpartySizes = new Map(); // owner:mint -> size of the transfer it came from
+
+        for (const transfer of transaction.tokenTransfers || []) {
+            if (!transfer.owner) {
+                continue;
+            }
+
+            if (!changes.has(transfer.owner)) {
+                changes.set(transfer.owner, new Map());
+            }
+
+            const byMint = changes.get(transfer.owner);
+            const current = byMint.get(transfer.mint) || {
+                mint: transfer.mint,
+                change: 0n,
+                decimals: transfer.decimals,
+                uiChange: '0',
+                transferFee: 0n,
+                extensions: transfer.extensions || [],
+                counterparty: null,
+                counterpartyLabel: null
+            };
+
+            // The largest transfer names the counterparty
+            const key = `${transfer.owner}:${transfer.mint}`;
+            const size = BigInt(absAmount(transfer.change));
+            if (transfer.counterparty && size > (counterpartySizes.get(key) || 0n)) {
+                current.counterparty = transfer.counterparty;
+                current.counterpartyLabel = transfer.counterpartyLabel;
+                counterpartySizes.set(key, size);
+            }
+
+            current.change += BigInt(transfer.change);
+            current.uiChange = addAmounts(current.uiChange, transfer.uiChange);
+            current.transferFee += BigInt(transfer.transferFee || 0);
+            byMint.set(transfer.mint, current);
+        }
+
+        for (const byMint of changes.values()) {
+            for (const [mint, total] of byMint) {
+                if (total.change === 0n) {
+                    byMint.delete(mint);
+                    continue;
+                }
+
+                byMint.set(mint, {
+                    ...total,
+                    change: total.change.toString(),
+                    transferFee: total.transferFee.toString()
+                });
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Read an address from a jsonParsed account key or a plain string
+     * @param {Object|string} account - Account key
+     * @returns {string|null} Address
+     */
+    getAddress(account) {
+        if (!account) {
+            return null;
+        }
+        return typeof account === 'string' ? account : account.pubkey || null;
+    }
+}
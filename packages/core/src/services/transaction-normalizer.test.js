@@ -0,0 +1,131 @@
+import { TransactionNormalizer, TRANSACTION_SCHEMA_VERSION } from './transaction-normalizer.js';
+import { NATIVE_MINT } from '../utils/token-mints.js';
+
+const ALICE = 'A1ice111111111111111111111111111111111111111';
+const BOB = 'Bob11111111111111111111111111111111111111111';
+
+const tokenTransfer = (owner, mint, change, uiChange, decimals = 6) => ({
+    owner,
+    mint,
+    account: `${owner}-${mint}`,
+    change,
+    uiChange,
+    decimals
+});
+
+describe('TransactionNormalizer', () => {
+    let normalizer;
+
+    beforeEach(() => {
+        normalizer = new TransactionNormalizer();
+    });
+
+    test('describes a swap with exact token amounts and the fee kept apart', () => {
+        const transaction = normalizer.normalize({
+            signature: 'swap',
+            status: 'success',
+            fee: 5000,
+            trackedWallet: ALICE,
+            accounts: [{ pubkey: ALICE, signer: true }],
+            balanceChanges: [{ account: { pubkey: ALICE }, change: -1000005000 }],
+            tokenTransfers: [tokenTransfer(ALICE, 'Bonk', '250050000', '2500.5', 5)]
+        }, new Set([ALICE]));
+
+        expect(transaction.schemaVersion).toBe(TRANSACTION_SCHEMA_VERSION);
+        expect(transaction).toMatchObject({
+            walletAddress: ALICE,
+            tokenMint: 'Bonk',
+            amount: '2500.5',
+            direction: 'in'
+        });
+        expect(transaction.wallets[0]).toMatchObject({
+            solChange: -1000005000,
+            nativeChange: -1000000000,
+            tokenChanges: [{ mint: 'Bonk', change: '250050000', uiChange: '2500.5', decimals: 5 }]
+        });
+        expect(transaction.swap).toMatchObject({
+            inMint: NATIVE_MINT,
+            inAmount: '1',
+            outMint: 'Bonk',
+            outAmount: '2500.5',
+            side: 'buy'
+        });
+    });
+
+    test('gives every tracked wallet its own perspective, delivering wallet first', () => {
+        const transaction = normalizer.normalize({
+            signature: 'pay',
+            status: 'success',
+            fee: 5000,
+            trackedWallet: BOB,
+            accounts: [{ pubkey: ALICE, signer: true }],
+            balanceChanges: [{ account: { pubkey: ALICE }, change: -5000 }],
+            tokenTransfers: [
+                tokenTransfer(ALICE, 'Usdc', '-1500000', '-1.5'),
+                tokenTransfer(BOB, 'Usdc', '1500000', '1.5')
+            ]
+        }, new Set([ALICE, BOB]));
+
+        expect(transaction.wallets.map(({ walletAddress, direction, amount }) =>
+            [walletAddress, direction, amount]
+        )).toEqual([[BOB, 'in', '1.5'], [ALICE, 'out', '1.5']]);
+        expect(transaction.walletAddress).toBe(BOB);
+        expect(transaction.wallets[1].nativeChange).toBe(0);
+    });
+
+    test('drops mints that net to zero and reports SOL instead', () => {
+        const transaction = normalizer.normalize({
+            signature: 'roundtrip',
+            status: 'success',
+            fee: 0,
+            trackedWallet: ALICE,
+            accounts: [{ pubkey: BOB, signer: true }],
+            balanceChanges: [{ account: { pubkey: ALICE }, change: 20000000 }],
+            tokenTransfers: [
+                tokenTransfer(ALICE, 'Usdc', '1000000', '1'),
+                tokenTransfer(ALICE, 'Usdc', '-1000000', '-1')
+            ]
+        }, new Set([ALICE]));
+
+        expect(transaction.wallets[0].tokenChanges).toEqual([]);
+        expect(transaction).toMatchObject({
+            tokenMint: NATIVE_MINT,
+            amount: '0.02',
+            direction: 'in'
+        });
+    });
+
+    test('reports no movement or swap for a failed transaction', () => {
+        const transaction = normalizer.normalize({
+            signature: 'failed',
+            status: 'failed',
+            fee: 5000,
+            trackedWallet: ALICE,
+            accounts: [{ pubkey: ALICE, signer: true }],
+            balanceChanges: [{ account: { pubkey: ALICE }, change: -5000 }],
+            tokenTransfers: []
+        }, new Set([ALICE]));
+
+        expect(transaction).toMatchObject({
+            walletAddress: ALICE,
+            tokenMint: null,
+            amount: '0',
+            direction: 'none',
+            swap: null
+        });
+    });
+
+    test('leaves out wallets nobody tracks', () => {
+        const transaction = normalizer.normalize({
+            signature: 'elsewhere',
+            status: 'success',
+            fee: 5000,
+            accounts: [{ pubkey: BOB, signer: true }],
+            balanceChanges: [{ account: { pubkey: BOB }, change: -5000 }],
+            tokenTransfers: []
+        }, new Set([ALICE]));
+
+        expect(transaction.wallets).toEqual([]);
+        expect(transaction).toMatchObject({ walletAddress: null, amount: '0', direction: 'none' });
+    });
+});
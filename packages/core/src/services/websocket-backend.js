@@ -1,46 +1,120 @@
 /**
  * WebSocket Backend Service for Real-time Solana Transaction Monitoring
- * Handles connections to Helius WebSocket API with intelligent API key rotation
+ * Shards tracked wallets across one Helius WebSocket per API key and hands
+ * wallets between sockets without dropping their subscriptions. Falls back to
+ * a standard Solana RPC WebSocket (logsSubscribe) when Helius is unavailable.
  */
 
 import { EventEmitter } from '../utils/event-emitter.js';
 import { Logger } from '../utils/logger.js';
+import { NETWORK_PROFILES, DEFAULT_NETWORK } from '../utils/network-profiles.js';
+import { RpcService } from './rpc-service.js';
+import { InstructionDecoder } from './instruction-decoder.js';
+import { LookupTableResolver } from './lookup-table-resolver.js';
+import { TokenExtensionService } from './token-extension-service.js';
+import { FeeAnalyzer } from './fee-analyzer.js';
+import { WebSocketConnection, PROVIDERS } from './websocket-connection.js';
+import { createBrowserTransport } from './websocket-transports.js';
+import { buildInstructionTree } from '../utils/instruction-tree.js';
+import { formatUnits, subtractAmounts } from '../utils/token-amount.js';
+import { TOKEN_PROGRAM_ID } from '../utils/token-programs.js';
 
 export class WebSocketBackend extends EventEmitter {
     constructor(options = {}) {
         super();
-        
+
+        const mainnet = NETWORK_PROFILES[DEFAULT_NETWORK];
+
         this.options = {
             apiKeys: options.apiKeys || [],
             reconnectAttempts: options.reconnectAttempts || 5,
             reconnectDelay: options.reconnectDelay || 1000,
             maxReconnectDelay: options.maxReconnectDelay || 30000,
             heartbeatInterval: options.heartbeatInterval || 30000,
+            maxWalletsPerSocket: options.maxWalletsPerSocket || 100,
+            subscriptionBatchSize: options.subscriptionBatchSize || 100,
+            subscriptionBatchDelay: options.subscriptionBatchDelay !== undefined
+                ? options.subscriptionBatchDelay
+                : 10,
+            maxKeyFailures: options.maxKeyFailures || 3,
+            commitment: options.commitment || 'confirmed',
+            cluster: options.cluster || DEFAULT_NETWORK,
+            provider: options.provider || 'helius',
+            heliusWsUrl: options.heliusWsUrl || mainnet.heliusWsUrl,
+            standardWsUrl: options.standardWsUrl || mainnet.standardWsUrl,
+            standardRpcUrl: options.standardRpcUrl || mainnet.standardRpcUrl,
+            // null on clusters Helius does not serve; account lookups then use the standard RPC
+            heliusRpcUrl: options.heliusRpcUrl !== undefined
+                ? options.heliusRpcUrl
+                : mainnet.heliusRpcUrl,
+            fallbackToStandard: options.fallbackToStandard !== false,
+            providerRetryInterval: options.providerRetryInterval || 60000,
+            handoverRetryInterval: options.handoverRetryInterval || 30000,
+            transactionFetchRetries: options.transactionFetchRetries || 5,
+            transactionFetchDelay: options.transactionFetchDelay || 1000,
+            createWebSocket: options.createWebSocket || createBrowserTransport(),
+            keyRotationInterval: options.keyRotationInterval !== undefined
+                ? options.keyRotationInterval
+                : 5 * 60 * 1000,
             ...options
         };
 
+        if (!PROVIDERS.includes(this.options.provider)) {
+            throw new Error(`Unknown WebSocket provider: ${this.options.provider}`);
+        }
+
         // Connection state
-        this.websocket = null;
         this.isConnected = false;
         this.isConnecting = false;
-        this.reconnectCount = 0;
+        this.isStarted = false;
         this.currentApiKeyIndex = 0;
-        
+        this.activeProvider = this.options.provider;
+
+        // Connection pool
+        this.connections = new Map(); // key index -> WebSocketConnection
+        this.standardConnection = null; // logsSubscribe socket when the standard provider is active
+        this.retiringConnections = new Set(); // connections being drained by a handover
+        this.strandedConnections = new Set(); // connections of removed API keys, until drained
+        this.walletConnections = new Map(); // wallet -> connection whose notifications count
+        this.handovers = new Map(); // wallet -> { from, to } while moving between connections
+
         // Subscription management
         this.subscriptions = new Set();
-        this.pendingSubscriptions = new Set();
-        
+        this.pendingSubscriptions = new Set(); // wallets not yet placed on a connection
+
         // API key rotation
         this.lastApiKeyUsage = new Map();
         this.apiKeyFailures = new Map();
-        
+
+        // Standard RPC notifications only carry a signature; the transaction is fetched here
+        this.rpcService = new RpcService({
+            rpcUrl: this.options.standardRpcUrl,
+            commitment: this.getFetchCommitment()
+        });
+        this.transactionFetches = new Map(); // signature -> in-flight fetch
+
+        // Account lookups go through the API keys; the public RPC would rate-limit them
+        this.queryRpcService = new RpcService({
+            apiKeys: this.options.apiKeys,
+            commitment: this.getFetchCommitment(),
+            ...this.getQueryEndpoints()
+        });
+        this.lookupTableResolver = new LookupTableResolver({ rpcService: this.queryRpcService });
+        this.tokenExtensionService = new TokenExtensionService({
+            rpcService: this.queryRpcService
+        });
+
+        // Shared with the tracker so decoders it registers apply here
+        this.instructionDecoder = this.options.instructionDecoder || new InstructionDecoder();
+        this.feeAnalyzer = new FeeAnalyzer();
+
         // Timers
-        this.reconnectTimer = null;
-        this.heartbeatTimer = null;
         this.keyRotationTimer = null;
-        
+        this.providerRetryTimer = null;
+        this.handoverRetryTimer = null;
+
         this.logger = new Logger({ prefix: '[WebSocket]' });
-        
+
         this.setupKeyRotation();
     }
 
@@ -48,54 +122,93 @@ export class WebSocketBackend extends EventEmitter {
      * Setup automatic API key rotation
      */
     setupKeyRotation() {
-        // Rotate API keys every 5 minutes to distribute load
+        if (!this.options.keyRotationInterval) {
+            return;
+        }
+
         this.keyRotationTimer = setInterval(() => {
             this.rotateApiKey();
-        }, 5 * 60 * 1000);
+        }, this.options.keyRotationInterval);
     }
 
     /**
-     * Get the next available API key
-     * @returns {string|null} Next API key or null if none available
+     * Check whether an API key is usable
+     * @param {number} keyIndex - Index of API key
+     * @returns {boolean} Is healthy
      */
-    getNextApiKey() {
-        if (!this.options.apiKeys || this.options.apiKeys.length === 0) {
-            return null;
-        }
+    isApiKeyHealthy(keyIndex) {
+        const failures = this.apiKeyFailures.get(keyIndex) || 0;
+        const lastUsage = this.lastApiKeyUsage.get(keyIndex) || 0;
+
+        // Keys with too many recent failures sit out for a minute
+        return failures <= this.options.maxKeyFailures || (Date.now() - lastUsage) >= 60000;
+    }
 
-        const currentTime = Date.now();
-        let bestKeyIndex = 0;
-        let oldestUsage = currentTime;
+    /**
+     * Pick the index of the API key that was used longest ago
+     * @param {Set<number>} exclude - Key indexes to skip
+     * @returns {number} Key index or -1 if none available
+     */
+    selectApiKeyIndex(exclude = new Set()) {
+        let bestKeyIndex = -1;
+        let oldestUsage = Infinity;
 
-        // Find the API key that was used longest ago
         for (let i = 0; i < this.options.apiKeys.length; i++) {
-            const lastUsage = this.lastApiKeyUsage.get(i) || 0;
-            const failures = this.apiKeyFailures.get(i) || 0;
-            
-            // Skip keys that have too many recent failures
-            if (failures > 3 && (currentTime - lastUsage) < 60000) {
+            if (exclude.has(i) || !this.isApiKeyHealthy(i)) {
                 continue;
             }
-            
+
+            const lastUsage = this.lastApiKeyUsage.get(i) || 0;
             if (lastUsage < oldestUsage) {
                 oldestUsage = lastUsage;
                 bestKeyIndex = i;
             }
         }
 
-        this.currentApiKeyIndex = bestKeyIndex;
-        this.lastApiKeyUsage.set(bestKeyIndex, currentTime);
-        
-        return this.options.apiKeys[bestKeyIndex];
+        return bestKeyIndex;
+    }
+
+    /**
+     * Get the next available API key
+     * @returns {string|null} Next API key or null if none available
+     */
+    getNextApiKey() {
+        if (!this.options.apiKeys || this.options.apiKeys.length === 0) {
+            return null;
+        }
+
+        // Fall back to the first key when every key is cooling down
+        const keyIndex = Math.max(this.selectApiKeyIndex(), 0);
+
+        this.currentApiKeyIndex = keyIndex;
+        this.lastApiKeyUsage.set(keyIndex, Date.now());
+
+        return this.options.apiKeys[keyIndex];
     }
 
     /**
-     * Rotate to next API key
+     * Rotate load onto an idle API key
      */
     rotateApiKey() {
-        if (this.isConnected) {
-            this.logger.info('Rotating API key for load balancing');
-            this.reconnect();
+        if (!this.isConnected || this.activeProvider !== 'helius') {
+            return;
+        }
+
+        // Every key already carries its own socket, so there is nothing to rotate onto
+        const idleKeyIndex = this.selectApiKeyIndex(new Set(this.connections.keys()));
+        if (idleKeyIndex === -1) {
+            return;
+        }
+
+        const oldest = Array.from(this.connections.values())
+            .filter(connection =>
+                connection.isConnected && !this.retiringConnections.has(connection)
+            )
+            .sort((a, b) => a.connectedAt - b.connectedAt)[0];
+
+        if (oldest) {
+            this.logger.info(`Rotating API key ${oldest.keyIndex + 1} to ${idleKeyIndex + 1}`);
+            this.handoverConnection(oldest, this.openConnection(idleKeyIndex));
         }
     }
 
@@ -106,15 +219,23 @@ export class WebSocketBackend extends EventEmitter {
     markApiKeyFailed(keyIndex) {
         const currentFailures = this.apiKeyFailures.get(keyIndex) || 0;
         this.apiKeyFailures.set(keyIndex, currentFailures + 1);
-        
+        this.lastApiKeyUsage.set(keyIndex, Date.now());
+
         // Reset failure count after 10 minutes
         setTimeout(() => {
             this.apiKeyFailures.set(keyIndex, 0);
         }, 10 * 60 * 1000);
+
+        // Move the wallets off a key that keeps failing
+        const connection = this.connections.get(keyIndex);
+        if (connection && !this.isApiKeyHealthy(keyIndex)) {
+            this.logger.warn(`API key ${keyIndex + 1} is failing, rebalancing its wallets`);
+            this.handoverConnection(connection);
+        }
     }
 
     /**
-     * Connect to Helius WebSocket
+     * Connect to Helius WebSocket, or the standard RPC WebSocket in standard mode
      * @returns {Promise<void>}
      */
     async connect() {
@@ -122,94 +243,684 @@ export class WebSocketBackend extends EventEmitter {
             return;
         }
 
-        const apiKey = this.getNextApiKey();
-        if (!apiKey) {
+        const hasApiKeys = this.options.apiKeys && this.options.apiKeys.length > 0;
+        if (this.activeProvider === 'helius' && !hasApiKeys) {
             throw new Error('No API keys available for WebSocket connection');
         }
 
+        this.isStarted = true;
         this.isConnecting = true;
-        this.logger.info(`Connecting to Helius WebSocket with API key ${this.currentApiKeyIndex + 1}/${this.options.apiKeys.length}`);
 
+        if (this.activeProvider === 'standard') {
+            this.openStandardConnection();
+        } else if (this.connections.size === 0) {
+            this.openConnection(Math.max(this.selectApiKeyIndex(), 0));
+        }
+
+        // Place wallets that were added before the backend started
+        for (const walletAddress of this.pendingSubscriptions) {
+            this.assignWallet(walletAddress);
+        }
+
+        const socketCount = this.getActiveConnections().length;
+        this.logger.info(`Connecting to ${this.activeProvider} WebSocket (${socketCount} sockets)`);
+
+        let connectError = await this.connectAny();
+
+        if (connectError && this.canFallBack()) {
+            this.logger.warn('Helius WebSocket unavailable:', connectError.message);
+            this.switchToStandard();
+            connectError = await this.connectAny();
+        }
+
+        this.isConnecting = false;
+
+        if (connectError) {
+            throw connectError;
+        }
+    }
+
+    /**
+     * Wait until any active connection is up
+     * @returns {Promise<Error|null>} First connection error if none connected
+     */
+    async connectAny() {
         try {
-            const wsUrl = `wss://atlas-mainnet.helius-rpc.com/ws?api-key=${apiKey}`;
-            this.websocket = new WebSocket(wsUrl);
-
-            this.websocket.onopen = this.handleOpen.bind(this);
-            this.websocket.onmessage = this.handleMessage.bind(this);
-            this.websocket.onclose = this.handleClose.bind(this);
-            this.websocket.onerror = this.handleError.bind(this);
-
-            // Connection timeout
-            const connectTimeout = setTimeout(() => {
-                if (this.isConnecting) {
-                    this.logger.error('WebSocket connection timeout');
-                    this.websocket.close();
-                }
-            }, 10000);
+            await Promise.any(this.getActiveConnections().map(connection => connection.connect()));
+            return null;
+        } catch (error) {
+            return error.errors ? error.errors[0] : error;
+        }
+    }
 
-            await new Promise((resolve, reject) => {
-                this.once('connected', () => {
-                    clearTimeout(connectTimeout);
-                    resolve();
-                });
-                this.once('error', (error) => {
-                    clearTimeout(connectTimeout);
-                    reject(error);
-                });
+    /**
+     * Get the connections new wallets can be placed on
+     * @returns {Array<WebSocketConnection>} Connections
+     */
+    getActiveConnections() {
+        const connections = Array.from(this.connections.values())
+            .filter(connection => !this.retiringConnections.has(connection));
+
+        if (this.standardConnection && !this.retiringConnections.has(this.standardConnection)) {
+            connections.push(this.standardConnection);
+        }
+
+        return connections;
+    }
+
+    /**
+     * Get every connection, including the ones being drained
+     * @returns {Array<WebSocketConnection>} Connections
+     */
+    getAllConnections() {
+        const connections = new Set([
+            ...this.connections.values(),
+            ...this.retiringConnections,
+            ...this.strandedConnections
+        ]);
+
+        if (this.standardConnection) {
+            connections.add(this.standardConnection);
+        }
+
+        return Array.from(connections);
+    }
+
+    /**
+     * Create a connection with the backend's shared socket options
+     * @param {Object} options - Connection-specific options
+     * @returns {WebSocketConnection} Connection
+     */
+    createConnection(options) {
+        const connection = new WebSocketConnection({
+            reconnectAttempts: this.options.reconnectAttempts,
+            reconnectDelay: this.options.reconnectDelay,
+            maxReconnectDelay: this.options.maxReconnectDelay,
+            heartbeatInterval: this.options.heartbeatInterval,
+            livenessTimeout: this.options.livenessTimeout,
+            subscriptionBatchSize: this.options.subscriptionBatchSize,
+            subscriptionBatchDelay: this.options.subscriptionBatchDelay,
+            createWebSocket: this.options.createWebSocket,
+            commitment: this.options.commitment,
+            ...options
+        });
+
+        this.setupConnectionHandlers(connection);
+
+        if (this.isStarted) {
+            connection.connect().catch(error => {
+                const target = this.describeConnection(connection);
+                this.logger.error(`Connection on ${target} failed:`, error);
             });
+        }
 
-        } catch (error) {
+        return connection;
+    }
+
+    /**
+     * Describe a connection for log messages
+     * @param {WebSocketConnection} connection - Connection
+     * @returns {string} Description
+     */
+    describeConnection(connection) {
+        return connection.provider === 'helius'
+            ? `API key ${connection.keyIndex + 1}`
+            : `${connection.provider} RPC`;
+    }
+
+    /**
+     * Open a connection for an API key, or return the existing one
+     * @param {number} keyIndex - Index of API key
+     * @returns {WebSocketConnection} Connection
+     */
+    openConnection(keyIndex) {
+        const existing = this.connections.get(keyIndex);
+        if (existing) {
+            return existing;
+        }
+
+        this.lastApiKeyUsage.set(keyIndex, Date.now());
+        this.currentApiKeyIndex = keyIndex;
+
+        const connection = this.createConnection({
+            provider: 'helius',
+            heliusWsUrl: this.options.heliusWsUrl,
+            apiKey: this.options.apiKeys[keyIndex],
+            keyIndex: keyIndex
+        });
+        this.connections.set(keyIndex, connection);
+
+        return connection;
+    }
+
+    /**
+     * Open the standard RPC connection, or return the existing one
+     * @returns {WebSocketConnection} Connection
+     */
+    openStandardConnection() {
+        if (!this.standardConnection) {
+            this.standardConnection = this.createConnection({
+                provider: 'standard',
+                url: this.options.standardWsUrl,
+                keyIndex: -1
+            });
+        }
+
+        return this.standardConnection;
+    }
+
+    /**
+     * Check whether Helius may be abandoned for the standard provider
+     * @returns {boolean} Can fall back
+     */
+    canFallBack() {
+        return this.options.provider === 'helius' &&
+            this.options.fallbackToStandard &&
+            Boolean(this.options.standardWsUrl) &&
+            this.activeProvider === 'helius';
+    }
+
+    /**
+     * Move every wallet from Helius onto the standard RPC WebSocket
+     */
+    switchToStandard() {
+        this.activeProvider = 'standard';
+        const standard = this.openStandardConnection();
+
+        this.logger.warn('Falling back to standard RPC WebSocket');
+
+        for (const connection of this.getAllConnections()) {
+            if (connection === standard) {
+                continue;
+            }
+
+            // Earlier handovers between Helius keys are superseded by this one
+            this.retiringConnections.delete(connection);
+            this.handoverConnection(connection, standard);
+        }
+
+        if (this.isStarted) {
+            for (const walletAddress of this.pendingSubscriptions) {
+                this.assignWallet(walletAddress);
+            }
+        }
+
+        this.emit('providerChanged', { provider: 'standard', fallback: true });
+
+        // Probe Helius periodically so the fallback does not become permanent
+        if (!this.providerRetryTimer) {
+            this.providerRetryTimer = setInterval(() => {
+                this.probeHelius();
+            }, this.options.providerRetryInterval);
+        }
+    }
+
+    /**
+     * Open a Helius connection while on the fallback; wallets move back once it connects
+     */
+    probeHelius() {
+        if (!this.isStarted || this.activeProvider !== 'standard') {
+            return;
+        }
+
+        // One probe at a time; a failed probe closes itself once it runs out of attempts
+        if (this.getActiveConnections().some(connection => connection.provider === 'helius')) {
+            return;
+        }
+
+        const keyIndex = this.selectApiKeyIndex(new Set(this.connections.keys()));
+        if (keyIndex === -1) {
+            return;
+        }
+
+        this.logger.info(`Probing Helius on API key ${keyIndex + 1}`);
+        const probe = this.openConnection(keyIndex);
+        probe.once('connected', () => {
+            this.apiKeyFailures.set(keyIndex, 0);
+            this.restoreHelius();
+        });
+    }
+
+    /**
+     * Move wallets from the standard RPC WebSocket back onto Helius
+     */
+    restoreHelius() {
+        if (this.activeProvider === 'helius') {
+            return;
+        }
+
+        if (this.providerRetryTimer) {
+            clearInterval(this.providerRetryTimer);
+            this.providerRetryTimer = null;
+        }
+
+        this.activeProvider = 'helius';
+        this.logger.info('Helius WebSocket is back, leaving standard RPC');
+
+        if (this.standardConnection) {
+            this.handoverConnection(this.standardConnection);
+        }
+
+        this.emit('providerChanged', { provider: 'helius', fallback: false });
+    }
+
+    /**
+     * Wire a connection's events into the backend
+     * @param {WebSocketConnection} connection - Connection
+     */
+    setupConnectionHandlers(connection) {
+        connection.on('connected', () => {
+            this.updateConnectionState();
+        });
+
+        connection.on('disconnected', (event) => {
+            this.updateConnectionState(event);
+        });
+
+        connection.on('reconnected', ({ walletAddresses, disconnectedAt }) => {
+            const owned = walletAddresses.filter(walletAddress =>
+                this.walletConnections.get(walletAddress) === connection
+            );
+            if (owned.length > 0) {
+                this.emit('reconnected', { walletAddresses: owned, disconnectedAt });
+            }
+        });
+
+        connection.on('notification', (walletAddress, result, commitment) => {
+            // While a wallet is handed over both sockets deliver; only the owner counts
+            if (this.walletConnections.get(walletAddress) !== connection) {
+                return;
+            }
+            this.handleTransactionNotification(walletAddress, result, commitment);
+        });
+
+        connection.on('logsNotification', (walletAddress, result, commitment) => {
+            if (this.walletConnections.get(walletAddress) !== connection) {
+                return;
+            }
+            this.handleLogsNotification(walletAddress, result, commitment);
+        });
+
+        connection.on('accountNotification', (params) => {
+            this.handleAccountNotification(params);
+        });
+
+        connection.on('subscribed', (walletAddress) => {
+            const handover = this.handovers.get(walletAddress);
+            if (handover && handover.to === connection) {
+                this.completeHandover(walletAddress);
+            }
+        });
+
+        connection.on('error', (event) => {
+            if (connection.provider === 'helius') {
+                this.markApiKeyFailed(connection.keyIndex);
+            }
+            this.emit('error', event);
+        });
+
+        connection.on('rpcError', (error) => {
+            this.handleRpcError(error, connection);
+        });
+
+        connection.on('subscriptionFailed', (wallets, error) => {
+            this.emit('error', new Error(
+                `Subscribing ${wallets.length} wallets failed: ${error.message || error.code}`
+            ));
+        });
+
+        connection.on('maxReconnectAttemptsReached', () => {
+            this.handleConnectionExhausted(connection);
+        });
+    }
+
+    /**
+     * Recompute the aggregate connection state and emit transitions
+     * @param {CloseEvent} [event] - Close event that triggered the update
+     */
+    updateConnectionState(event) {
+        const wasConnected = this.isConnected;
+        this.isConnected = this.getAllConnections().some(connection => connection.isConnected);
+
+        if (this.isConnected && !wasConnected) {
             this.isConnecting = false;
-            this.markApiKeyFailed(this.currentApiKeyIndex);
-            throw error;
+            this.logger.info('WebSocket connected successfully');
+            this.emit('connected');
+        } else if (!this.isConnected && wasConnected) {
+            this.emit('disconnected', event || { code: 1000, reason: 'All connections closed' });
         }
     }
 
     /**
-     * Handle WebSocket open event
+     * Give up on a connection that exhausted its reconnect attempts
+     * @param {WebSocketConnection} connection - Connection
      */
-    handleOpen() {
-        this.isConnected = true;
-        this.isConnecting = false;
-        this.reconnectCount = 0;
-        
-        this.logger.info('WebSocket connected successfully');
-        this.emit('connected');
-        
-        this.setupHeartbeat();
-        this.resubscribeAll();
+    handleConnectionExhausted(connection) {
+        if (connection.provider === 'helius') {
+            this.apiKeyFailures.set(connection.keyIndex, this.options.maxKeyFailures + 1);
+            this.lastApiKeyUsage.set(connection.keyIndex, Date.now());
+
+            if (this.handoverConnection(connection)) {
+                return;
+            }
+
+            // No healthy key can take the wallets: Helius itself is down
+            if (this.canFallBack()) {
+                this.switchToStandard();
+                return;
+            }
+        }
+
+        this.logger.error('Max reconnection attempts reached');
+        this.emit('maxReconnectAttemptsReached');
+    }
+
+    /**
+     * Get the number of wallets a connection carries
+     * @param {WebSocketConnection} connection - Connection
+     * @returns {number} Wallet count
+     */
+    getConnectionLoad(connection) {
+        return connection.getWallets().size;
+    }
+
+    /**
+     * Pick the connection a new wallet should go to, opening one if needed
+     * @param {Set<WebSocketConnection>} exclude - Connections to skip
+     * @returns {WebSocketConnection|null} Connection or null if none available
+     */
+    pickConnection(exclude = new Set()) {
+        if (this.activeProvider === 'standard') {
+            const standard = this.openStandardConnection();
+            return exclude.has(standard) ? null : standard;
+        }
+
+        const candidates = Array.from(this.connections.values()).filter(connection =>
+            !exclude.has(connection) &&
+            !this.retiringConnections.has(connection) &&
+            this.isApiKeyHealthy(connection.keyIndex)
+        );
+
+        const leastLoaded = candidates.sort((a, b) =>
+            this.getConnectionLoad(a) - this.getConnectionLoad(b)
+        )[0];
+
+        if (leastLoaded && this.getConnectionLoad(leastLoaded) < this.options.maxWalletsPerSocket) {
+            return leastLoaded;
+        }
+
+        // Every open socket is full: spread onto a key that has no socket yet
+        const idleKeyIndex = this.selectApiKeyIndex(new Set(this.connections.keys()));
+        if (idleKeyIndex !== -1) {
+            return this.openConnection(idleKeyIndex);
+        }
+
+        if (leastLoaded) {
+            this.logger.warn('All API keys are at their wallets-per-socket limit');
+        }
+
+        return leastLoaded || null;
+    }
+
+    /**
+     * Place a wallet on a connection and subscribe to it there
+     * @param {string} walletAddress - Wallet address
+     * @returns {WebSocketConnection|null} Connection or null if none available
+     */
+    assignWallet(walletAddress) {
+        const connection = this.pickConnection();
+        if (!connection) {
+            this.pendingSubscriptions.add(walletAddress);
+            return null;
+        }
+
+        this.walletConnections.set(walletAddress, connection);
+        this.subscriptions.add(walletAddress);
+        this.pendingSubscriptions.delete(walletAddress);
+        connection.subscribeToWallet(walletAddress);
+
+        return connection;
+    }
+
+    /**
+     * Move every wallet off a connection, keeping the old subscription alive
+     * until the new one is confirmed (make-before-break)
+     * @param {WebSocketConnection} source - Connection to drain
+     * @param {WebSocketConnection} [target] - Connection to move to; picked per wallet if omitted
+     * @returns {boolean} Whether a handover was started
+     */
+    handoverConnection(source, target = null) {
+        if (this.retiringConnections.has(source)) {
+            return true;
+        }
+
+        const wallets = Array.from(source.getWallets())
+            .filter(walletAddress => this.walletConnections.get(walletAddress) === source);
+
+        this.retiringConnections.add(source);
+
+        if (wallets.length === 0) {
+            this.closeConnection(source);
+            return true;
+        }
+
+        let moved = 0;
+        for (const walletAddress of wallets) {
+            const destination = target || this.pickConnection(new Set([source]));
+            if (!destination) {
+                break;
+            }
+
+            this.handovers.set(walletAddress, { from: source, to: destination });
+            destination.subscribeToWallet(walletAddress);
+            moved++;
+        }
+
+        if (moved < wallets.length) {
+            // No other key can take the rest; keep them where they are
+            this.logger.warn(`No spare API key to take ${wallets.length - moved} wallets`);
+            this.retiringConnections.delete(source);
+        }
+
+        return moved > 0;
+    }
+
+    /**
+     * Switch a wallet to its new connection once that subscription is confirmed
+     * @param {string} walletAddress - Wallet address
+     */
+    completeHandover(walletAddress) {
+        const { from, to } = this.handovers.get(walletAddress);
+        this.handovers.delete(walletAddress);
+        this.walletConnections.set(walletAddress, to);
+
+        // Anything that landed while the old socket was down needs a backfill
+        const missedSince = from.isConnected ? null : from.disconnectedAt;
+
+        from.unsubscribeFromWallet(walletAddress);
+        this.logger.info(`Handed ${walletAddress} over to ${this.describeConnection(to)}`);
+
+        if (missedSince) {
+            this.emit('reconnected', {
+                walletAddresses: [walletAddress],
+                disconnectedAt: missedSince
+            });
+        }
+
+        if (this.retiringConnections.has(from) && from.getWallets().size === 0) {
+            this.closeConnection(from);
+        }
     }
 
     /**
-     * Handle incoming WebSocket messages
-     * @param {MessageEvent} event - WebSocket message event
+     * Close a connection and drop it from the pool
+     * @param {WebSocketConnection} connection - Connection
      */
-    handleMessage(event) {
+    closeConnection(connection) {
+        connection.removeAllListeners();
+        connection.disconnect();
+
+        // Handovers into this connection will never complete; leave those wallets where they were
+        for (const [walletAddress, handover] of this.handovers) {
+            if (handover.to === connection) {
+                this.handovers.delete(walletAddress);
+                this.retiringConnections.delete(handover.from);
+            }
+        }
+
+        this.retiringConnections.delete(connection);
+        this.strandedConnections.delete(connection);
+        if (this.connections.get(connection.keyIndex) === connection) {
+            this.connections.delete(connection.keyIndex);
+        }
+        if (this.standardConnection === connection) {
+            this.standardConnection = null;
+        }
+
+        this.updateConnectionState();
+    }
+
+    /**
+     * Handle incoming transaction notifications
+     * @param {string} walletAddress - Wallet whose subscription delivered it
+     * @param {Object} rawData - Raw transaction data
+     * @param {string} commitment - Commitment level of the subscription
+     */
+    handleTransactionNotification(walletAddress, rawData, commitment) {
+        if (this.needsResolution(rawData)) {
+            this.resolveTransaction(rawData).then(() => {
+                this.emitTransaction(walletAddress, rawData, commitment);
+            }).catch(error => {
+                this.logger.error('Error processing transaction notification:', error);
+                this.emit('error', error);
+            });
+            return;
+        }
+
+        this.emitTransaction(walletAddress, rawData, commitment);
+    }
+
+    /**
+     * Check whether a raw transaction needs RPC lookups before it can be processed
+     * @param {Object} rawData - Raw transaction data
+     * @returns {boolean} Needs resolution
+     */
+    needsResolution(rawData) {
+        return this.lookupTableResolver.needsResolution(rawData) ||
+            this.tokenExtensionService.needsResolution(rawData);
+    }
+
+    /**
+     * Fetch what processTransactionData cannot read from the transaction itself:
+     * accounts loaded through lookup tables (v0 transactions delivered without
+     * them) and the extensions of Token-2022 mints not seen before
+     * @param {Object} rawData - Raw transaction data, updated in place
+     * @returns {Promise<void>}
+     */
+    async resolveTransaction(rawData) {
+        if (this.lookupTableResolver.needsResolution(rawData)) {
+            await this.lookupTableResolver.resolve(rawData);
+        }
+        if (this.tokenExtensionService.needsResolution(rawData)) {
+            await this.tokenExtensionService.resolve(rawData);
+        }
+    }
+
+    /**
+     * Process a raw transaction and emit it for the wallet that received it
+     * @param {string} walletAddress - Wallet whose subscription delivered it
+     * @param {Object} rawData - Raw transaction data
+     * @param {string} commitment - Commitment level of the subscription
+     */
+    emitTransaction(walletAddress, rawData, commitment) {
+        const transaction = this.processTransactionData(rawData);
+        transaction.trackedWallet = walletAddress;
+        transaction.commitment = commitment;
+        this.emit('transaction', transaction);
+    }
+
+    /**
+     * Handle standard RPC logs notifications by fetching the full transaction
+     * @param {string} walletAddress - Wallet whose subscription delivered it
+     * @param {Object} result - Logs notification result ({ context, value })
+     * @param {string} commitment - Commitment level of the subscription
+     * @returns {Promise<void>}
+     */
+    async handleLogsNotification(walletAddress, result, commitment) {
+        const { signature, err } = result.value || {};
+
+        // transactionSubscribe is asked for successful transactions only; match that
+        if (!signature || err) {
+            return;
+        }
+
         try {
-            const data = JSON.parse(event.data);
-            
-            if (data.method === 'transactionNotification') {
-                this.handleTransactionNotification(data.params);
-            } else if (data.method === 'accountNotification') {
-                this.handleAccountNotification(data.params);
-            } else if (data.id && data.result) {
-                this.handleSubscriptionResponse(data);
-            } else if (data.error) {
-                this.handleRpcError(data.error);
+            const rawData = await this.fetchTransaction(signature);
+            if (!rawData) {
+                this.logger.warn(`Transaction ${signature} not available after logs notification`);
+                return;
+            }
+
+            // The wallet may have been removed while the fetch was in flight
+            if (this.walletConnections.has(walletAddress)) {
+                this.handleTransactionNotification(walletAddress, rawData, commitment);
             }
-            
         } catch (error) {
-            this.logger.error('Error parsing WebSocket message:', error);
+            this.logger.error(`Failed to fetch transaction ${signature}:`, error);
         }
     }
 
     /**
-     * Handle transaction notifications
-     * @param {Object} params - Transaction notification parameters
+     * Fetch a transaction once, however many wallet subscriptions reported it
+     * @param {string} signature - Transaction signature
+     * @returns {Promise<Object|null>} Raw transaction shaped like a Helius notification
      */
-    handleTransactionNotification(params) {
-        const transaction = this.processTransactionData(params);
-        this.emit('transaction', transaction);
+    fetchTransaction(signature) {
+        if (!this.transactionFetches.has(signature)) {
+            const request = this.loadTransaction(signature).finally(() => {
+                this.transactionFetches.delete(signature);
+            });
+            this.transactionFetches.set(signature, request);
+        }
+
+        return this.transactionFetches.get(signature);
+    }
+
+    /**
+     * Load a transaction, waiting for it to become queryable
+     * @param {string} signature - Transaction signature
+     * @returns {Promise<Object|null>} Raw transaction or null if it never showed up
+     */
+    async loadTransaction(signature) {
+        for (let attempt = 0; attempt < this.options.transactionFetchRetries; attempt++) {
+            const result = await this.rpcService.getTransaction(signature);
+            if (result) {
+                return {
+                    signature,
+                    slot: result.slot,
+                    blockTime: result.blockTime,
+                    transaction: {
+                        transaction: result.transaction,
+                        meta: result.meta
+                    }
+                };
+            }
+
+            // Logs can arrive before the transaction is queryable at the fetch commitment
+            if (attempt < this.options.transactionFetchRetries - 1) {
+                await this.rpcService.delay(this.options.transactionFetchDelay);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the commitment for transaction fetches, which do not accept 'processed'
+     * @returns {string} Commitment level
+     */
+    getFetchCommitment() {
+        return this.options.commitment === 'finalized' ? 'finalized' : 'confirmed';
     }
 
     /**
@@ -230,18 +941,57 @@ export class WebSocketBackend extends EventEmitter {
         const transaction = {
             signature: rawData.signature,
             slot: rawData.slot,
-            timestamp: Date.now(),
+            timestamp: rawData.blockTime ? rawData.blockTime * 1000 : Date.now(),
             fee: rawData.transaction?.meta?.fee || 0,
-            accounts: rawData.transaction?.transaction?.message?.accountKeys || [],
-            instructions: rawData.transaction?.transaction?.message?.instructions || [],
+            accounts: this.getAccountKeys(rawData),
+            instructions: buildInstructionTree(
+                rawData.transaction?.transaction?.message?.instructions || [],
+                rawData.transaction?.meta?.innerInstructions
+            ),
             balanceChanges: this.extractBalanceChanges(rawData),
             tokenTransfers: this.extractTokenTransfers(rawData),
             status: rawData.transaction?.meta?.err ? 'failed' : 'success'
         };
 
+        this.instructionDecoder.decodeTransaction(transaction);
+        this.tokenExtensionService.annotateTransfers(
+            transaction.tokenTransfers,
+            transaction.instructions
+        );
+        transaction.fees = this.feeAnalyzer.analyze(transaction, rawData);
+
         return transaction;
     }
 
+    /**
+     * Get every account of a transaction in balance index order: the static
+     * keys, then the writable and readonly accounts loaded from lookup tables
+     * @param {Object} rawData - Raw transaction data
+     * @returns {Array<Object>} jsonParsed-style account keys
+     */
+    getAccountKeys(rawData) {
+        const keys = rawData.transaction?.transaction?.message?.accountKeys || [];
+        const loaded = rawData.transaction?.meta?.loadedAddresses;
+
+        // Some providers list the loaded accounts among the keys already
+        if (!loaded || keys.some(key => key.source === 'lookupTable')) {
+            return keys;
+        }
+
+        const toKey = writable => pubkey => ({
+            pubkey,
+            signer: false,
+            writable,
+            source: 'lookupTable'
+        });
+
+        return [
+            ...keys,
+            ...(loaded.writable || []).map(toKey(true)),
+            ...(loaded.readonly || []).map(toKey(false))
+        ];
+    }
+
     /**
      * Extract balance changes from transaction data
      * @param {Object} rawData - Raw transaction data
@@ -253,6 +1003,7 @@ export class WebSocketBackend extends EventEmitter {
             return [];
         }
 
+        const accounts = this.getAccountKeys(rawData);
         const changes = [];
         for (let i = 0; i < meta.preBalances.length; i++) {
             const preBalance = meta.preBalances[i];
@@ -262,7 +1013,7 @@ export class WebSocketBackend extends EventEmitter {
             if (change !== 0) {
                 changes.push({
                     accountIndex: i,
-                    account: rawData.transaction?.transaction?.message?.accountKeys[i],
+                    account: accounts[i],
                     change: change,
                     preBalance: preBalance,
                     postBalance: postBalance
@@ -284,6 +1035,7 @@ export class WebSocketBackend extends EventEmitter {
             return [];
         }
 
+        const accounts = this.getAccountKeys(rawData);
         const transfers = [];
         const preBalances = new Map();
         const postBalances = new Map();
@@ -298,61 +1050,94 @@ export class WebSocketBackend extends EventEmitter {
         meta.postTokenBalances.forEach(balance => {
             const key = `${balance.accountIndex}-${balance.mint}`;
             const preBalance = preBalances.get(key);
-            
-            const preAmount = preBalance ? parseFloat(preBalance.uiTokenAmount.amount) : 0;
-            const postAmount = parseFloat(balance.uiTokenAmount.amount);
+            postBalances.set(key, balance);
+
+            // Raw amounts are u64 strings; floats lose units past 2^53
+            const preAmount = preBalance ? BigInt(preBalance.uiTokenAmount.amount) : 0n;
+            const postAmount = BigInt(balance.uiTokenAmount.amount);
             const change = postAmount - preAmount;
 
-            if (change !== 0) {
-                transfers.push({
-                    mint: balance.mint,
-                    accountIndex: balance.accountIndex,
-                    change: change,
-                    decimals: balance.uiTokenAmount.decimals,
-                    uiChange: change / Math.pow(10, balance.uiTokenAmount.decimals)
-                });
+            if (change !== 0n) {
+                const uiChange = subtractAmounts(
+                    this.getUiAmount(balance),
+                    preBalance ? this.getUiAmount(preBalance) : '0'
+                );
+                transfers.push(this.createTokenTransfer(accounts, balance, change, uiChange));
+            }
+        });
+
+        // Accounts closed in this transaction only appear in the pre-balances
+        meta.preTokenBalances.forEach(balance => {
+            const key = `${balance.accountIndex}-${balance.mint}`;
+            const preAmount = BigInt(balance.uiTokenAmount.amount);
+
+            if (!postBalances.has(key) && preAmount !== 0n) {
+                const uiChange = subtractAmounts('0', this.getUiAmount(balance));
+                transfers.push(this.createTokenTransfer(accounts, balance, -preAmount, uiChange));
             }
         });
 
         return transfers;
     }
 
+    /**
+     * Read a token balance as a UI amount. The node applies Token-2022
+     * interest-bearing rates, so this can differ from amount / 10^decimals.
+     * @param {Object} balance - Token balance entry
+     * @returns {string} Decimal string
+     */
+    getUiAmount(balance) {
+        const { amount, decimals, uiAmountString } = balance.uiTokenAmount;
+        return uiAmountString || formatUnits(amount, decimals);
+    }
+
+    /**
+     * Describe the change of one token account
+     * @param {Array<Object>} accounts - Account keys from getAccountKeys
+     * @param {Object} balance - Token balance entry of the account
+     * @param {bigint} change - Change in base units
+     * @param {string} uiChange - Change in UI units
+     * @returns {Object} Token transfer { mint, owner, account, accountIndex, programId,
+     *   change, decimals, uiChange }, with `change` an integer string and `uiChange`
+     *   an exact decimal string
+     */
+    createTokenTransfer(accounts, balance, change, uiChange) {
+        const key = accounts[balance.accountIndex];
+
+        return {
+            mint: balance.mint,
+            owner: balance.owner || null,
+            account: key ? key.pubkey || key : null,
+            accountIndex: balance.accountIndex,
+            programId: balance.programId || TOKEN_PROGRAM_ID,
+            change: change.toString(),
+            decimals: balance.uiTokenAmount.decimals,
+            uiChange
+        };
+    }
+
     /**
      * Subscribe to wallet transactions
-     * @param {string} walletAddress - Wallet address to monitor
+     * @param {string} walletAddress - Wallet, program or mint address to monitor
      * @returns {Promise<boolean>} Success status
      */
     async subscribeToWallet(walletAddress) {
-        if (!this.isConnected) {
+        if (!this.isStarted) {
             this.pendingSubscriptions.add(walletAddress);
             return false;
         }
 
-        const subscriptionMessage = {
-            jsonrpc: '2.0',
-            id: this.generateId(),
-            method: 'transactionSubscribe',
-            params: [
-                {
-                    accountInclude: [walletAddress],
-                    accountExclude: [],
-                    failed: false
-                },
-                {
-                    commitment: 'confirmed',
-                    encoding: 'jsonParsed',
-                    transactionDetails: 'full',
-                    showRewards: false,
-                    maxSupportedTransactionVersion: 0
-                }
-            ]
-        };
+        if (this.walletConnections.has(walletAddress)) {
+            return true;
+        }
 
-        this.sendMessage(subscriptionMessage);
-        this.subscriptions.add(walletAddress);
-        this.pendingSubscriptions.delete(walletAddress);
-        
-        this.logger.info(`Subscribed to wallet: ${walletAddress}`);
+        const connection = this.assignWallet(walletAddress);
+        if (!connection) {
+            return false;
+        }
+
+        const target = this.describeConnection(connection);
+        this.logger.info(`Subscribed to wallet: ${walletAddress} (${target})`);
         return true;
     }
 
@@ -362,120 +1147,51 @@ export class WebSocketBackend extends EventEmitter {
      * @returns {Promise<boolean>} Success status
      */
     async unsubscribeFromWallet(walletAddress) {
-        // Implementation for unsubscribing
         this.subscriptions.delete(walletAddress);
         this.pendingSubscriptions.delete(walletAddress);
-        
-        this.logger.info(`Unsubscribed from wallet: ${walletAddress}`);
-        return true;
-    }
 
-    /**
-     * Send message through WebSocket
-     * @param {Object} message - Message to send
-     */
-    sendMessage(message) {
-        if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
-            this.websocket.send(JSON.stringify(message));
-        } else {
-            this.logger.warn('Cannot send message: WebSocket not connected');
-        }
-    }
+        const connection = this.walletConnections.get(walletAddress);
+        this.walletConnections.delete(walletAddress);
 
-    /**
-     * Setup heartbeat to keep connection alive
-     */
-    setupHeartbeat() {
-        if (this.heartbeatTimer) {
-            clearInterval(this.heartbeatTimer);
-        }
+        const handover = this.handovers.get(walletAddress);
+        this.handovers.delete(walletAddress);
 
-        this.heartbeatTimer = setInterval(() => {
-            if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
-                this.websocket.ping();
+        const affected = new Set([connection, handover && handover.from, handover && handover.to]);
+        for (const candidate of affected) {
+            if (!candidate) {
+                continue;
             }
-        }, this.options.heartbeatInterval);
-    }
-
-    /**
-     * Resubscribe to all active subscriptions
-     */
-    async resubscribeAll() {
-        const allSubscriptions = new Set([...this.subscriptions, ...this.pendingSubscriptions]);
-        
-        for (const walletAddress of allSubscriptions) {
-            await this.subscribeToWallet(walletAddress);
-        }
-    }
-
-    /**
-     * Handle WebSocket close event
-     * @param {CloseEvent} event - Close event
-     */
-    handleClose(event) {
-        this.isConnected = false;
-        this.isConnecting = false;
-        
-        if (this.heartbeatTimer) {
-            clearInterval(this.heartbeatTimer);
-            this.heartbeatTimer = null;
-        }
 
-        this.logger.warn(`WebSocket closed: ${event.code} - ${event.reason}`);
-        this.emit('disconnected', event);
+            await candidate.unsubscribeFromWallet(walletAddress);
 
-        // Attempt reconnection if not intentionally closed
-        if (event.code !== 1000) {
-            this.scheduleReconnect();
+            // Close sockets that no longer carry anything, but always keep one open
+            const isEmpty = candidate.getWallets().size === 0;
+            const isDraining = this.retiringConnections.has(candidate) ||
+                this.strandedConnections.has(candidate);
+            if (isEmpty && (isDraining || this.connections.size > 1)) {
+                this.closeConnection(candidate);
+            }
         }
-    }
 
-    /**
-     * Handle WebSocket error event
-     * @param {Event} event - Error event
-     */
-    handleError(event) {
-        this.logger.error('WebSocket error:', event);
-        this.markApiKeyFailed(this.currentApiKeyIndex);
-        this.emit('error', event);
+        return true;
     }
 
     /**
-     * Schedule reconnection attempt
+     * Resubscribe to all active subscriptions
      */
-    scheduleReconnect() {
-        if (this.reconnectCount >= this.options.reconnectAttempts) {
-            this.logger.error('Max reconnection attempts reached');
-            this.emit('maxReconnectAttemptsReached');
-            return;
-        }
-
-        const delay = Math.min(
-            this.options.reconnectDelay * Math.pow(2, this.reconnectCount),
-            this.options.maxReconnectDelay
+    async resubscribeAll() {
+        await Promise.all(
+            this.getActiveConnections().map(connection => connection.resubscribeAll())
         );
-
-        this.logger.info(`Scheduling reconnection attempt ${this.reconnectCount + 1} in ${delay}ms`);
-
-        this.reconnectTimer = setTimeout(() => {
-            this.reconnectCount++;
-            this.connect().catch(error => {
-                this.logger.error('Reconnection failed:', error);
-                this.scheduleReconnect();
-            });
-        }, delay);
     }
 
     /**
      * Force reconnection
      */
     async reconnect() {
-        if (this.websocket) {
-            this.websocket.close(1000, 'Manual reconnection');
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        await this.connect();
+        await Promise.all(
+            this.getActiveConnections().map(connection => connection.reconnect())
+        );
     }
 
     /**
@@ -483,90 +1199,288 @@ export class WebSocketBackend extends EventEmitter {
      * @returns {Promise<void>}
      */
     async disconnect() {
-        if (this.reconnectTimer) {
-            clearTimeout(this.reconnectTimer);
-            this.reconnectTimer = null;
+        if (this.keyRotationTimer) {
+            clearInterval(this.keyRotationTimer);
+            this.keyRotationTimer = null;
         }
 
-        if (this.heartbeatTimer) {
-            clearInterval(this.heartbeatTimer);
-            this.heartbeatTimer = null;
+        if (this.providerRetryTimer) {
+            clearInterval(this.providerRetryTimer);
+            this.providerRetryTimer = null;
         }
 
-        if (this.keyRotationTimer) {
-            clearInterval(this.keyRotationTimer);
-            this.keyRotationTimer = null;
+        if (this.handoverRetryTimer) {
+            clearInterval(this.handoverRetryTimer);
+            this.handoverRetryTimer = null;
         }
 
-        if (this.websocket) {
-            this.websocket.close(1000, 'Manual disconnection');
-            this.websocket = null;
+        for (const connection of this.getAllConnections()) {
+            connection.removeAllListeners();
+            await connection.disconnect();
         }
 
+        this.connections.clear();
+        this.standardConnection = null;
+        this.activeProvider = this.options.provider;
+        this.transactionFetches.clear();
+        this.retiringConnections.clear();
+        this.strandedConnections.clear();
+        this.walletConnections.clear();
+        this.handovers.clear();
+
         this.isConnected = false;
         this.isConnecting = false;
+        this.isStarted = false;
         this.subscriptions.clear();
         this.pendingSubscriptions.clear();
     }
 
-    /**
-     * Generate unique ID for RPC calls
-     * @returns {string} Unique ID
-     */
-    generateId() {
-        return Math.random().toString(36).substr(2, 9);
-    }
-
     /**
      * Get connection status
      * @returns {Object} Status information
      */
     getStatus() {
+        const connections = this.getAllConnections();
+
         return {
             isConnected: this.isConnected,
             isConnecting: this.isConnecting,
-            reconnectCount: this.reconnectCount,
+            reconnectCount: connections.reduce((total, connection) =>
+                total + connection.reconnectCount, 0
+            ),
+            commitment: this.options.commitment,
+            cluster: this.options.cluster,
+            provider: this.activeProvider,
+            fallbackActive: this.activeProvider !== this.options.provider,
             currentApiKey: this.currentApiKeyIndex,
             totalApiKeys: this.options.apiKeys.length,
             subscriptions: this.subscriptions.size,
-            pendingSubscriptions: this.pendingSubscriptions.size
+            pendingSubscriptions: this.pendingSubscriptions.size,
+            maxWalletsPerSocket: this.options.maxWalletsPerSocket,
+            connections: connections.map(connection => ({
+                ...connection.getStatus(),
+                healthy: connection.provider !== 'helius' ||
+                    this.isApiKeyHealthy(connection.keyIndex),
+                retiring: this.retiringConnections.has(connection)
+            })),
+            walletSubscriptions: this.getSubscriptionDetails()
         };
     }
 
+    /**
+     * Get per-wallet subscription state
+     * @returns {Object} Map of wallet address to subscription state
+     */
+    getSubscriptionDetails() {
+        const details = {};
+        const connectionDetails = new Map();
+
+        for (const walletAddress of this.pendingSubscriptions) {
+            details[walletAddress] = {
+                state: 'queued',
+                subscriptionId: null,
+                subscribedAt: null,
+                apiKeyIndex: null
+            };
+        }
+
+        for (const [walletAddress, connection] of this.walletConnections) {
+            if (!connectionDetails.has(connection)) {
+                connectionDetails.set(connection, connection.getSubscriptionDetails());
+            }
+
+            const handover = this.handovers.get(walletAddress);
+            details[walletAddress] = {
+                state: 'queued',
+                subscriptionId: null,
+                subscribedAt: null,
+                ...connectionDetails.get(connection)[walletAddress],
+                provider: connection.provider,
+                apiKeyIndex: connection.provider === 'helius' ? connection.keyIndex : null,
+                handoverTo: handover ? this.describeConnection(handover.to) : null
+            };
+        }
+
+        return details;
+    }
+
+    /**
+     * Update the commitment level of every subscription
+     * @param {string} commitment - 'processed', 'confirmed' or 'finalized'
+     * @returns {Promise<void>}
+     */
+    async updateCommitment(commitment) {
+        if (commitment === this.options.commitment) {
+            return;
+        }
+
+        this.options.commitment = commitment;
+        this.rpcService.updateCommitment(this.getFetchCommitment());
+        this.queryRpcService.updateCommitment(this.getFetchCommitment());
+
+        await Promise.all(
+            this.getAllConnections().map(connection => connection.setCommitment(commitment))
+        );
+
+        this.logger.info(`Commitment updated to ${commitment}`);
+    }
+
+    /**
+     * Get the endpoints for account lookups: Helius with the API keys when the
+     * provider is Helius and keys are set, the standard RPC otherwise
+     * @returns {Object} { rpcUrl, heliusRpcUrl } for RpcService
+     */
+    getQueryEndpoints() {
+        const hasApiKeys = this.options.apiKeys && this.options.apiKeys.length > 0;
+        const useStandard = this.options.provider === 'standard' ||
+            !hasApiKeys ||
+            !this.options.heliusRpcUrl;
+
+        return {
+            rpcUrl: useStandard ? this.options.standardRpcUrl : null,
+            heliusRpcUrl: this.options.heliusRpcUrl
+        };
+    }
+
+    /**
+     * Move every subscription to another cluster or set of endpoints
+     * @param {Object} endpoints - cluster, provider and endpoint URLs to apply
+     * @returns {Promise<void>}
+     */
+    async updateEndpoints(endpoints) {
+        const walletAddresses = [...this.subscriptions, ...this.pendingSubscriptions];
+        const wasStarted = this.isStarted;
+
+        // Subscriptions cannot move between clusters; tear down and subscribe again
+        await this.disconnect();
+
+        this.options = { ...this.options, ...endpoints };
+        this.activeProvider = this.options.provider;
+        this.rpcService.updateEndpoints({ rpcUrl: this.options.standardRpcUrl });
+        this.queryRpcService.updateEndpoints(this.getQueryEndpoints());
+        this.lookupTableResolver.clear();
+        this.tokenExtensionService.clear();
+        this.lastApiKeyUsage.clear();
+        this.apiKeyFailures.clear();
+
+        walletAddresses.forEach(walletAddress => this.pendingSubscriptions.add(walletAddress));
+
+        this.setupKeyRotation();
+        this.logger.info(`Endpoints updated: ${this.options.cluster} via ${this.activeProvider}`);
+
+        if (wasStarted) {
+            await this.connect();
+        }
+    }
+
     /**
      * Update API keys
      * @param {Array<string>} newApiKeys - New API keys
      */
     updateApiKeys(newApiKeys) {
         this.options.apiKeys = newApiKeys;
+        this.queryRpcService.updateApiKeys(newApiKeys);
+        this.queryRpcService.updateEndpoints(this.getQueryEndpoints());
         this.lastApiKeyUsage.clear();
         this.apiKeyFailures.clear();
         this.currentApiKeyIndex = 0;
-        
+
+        // Keep sockets whose key survived, re-indexed; drain the ones whose key was removed
+        const previous = Array.from(this.connections.values());
+        const removed = [];
+        this.connections.clear();
+
+        for (const connection of previous) {
+            const keyIndex = newApiKeys.indexOf(connection.apiKey);
+            if (keyIndex === -1 || this.connections.has(keyIndex)) {
+                removed.push(connection);
+                continue;
+            }
+
+            connection.keyIndex = keyIndex;
+            this.connections.set(keyIndex, connection);
+            this.lastApiKeyUsage.set(keyIndex, Date.now());
+        }
+
+        for (const connection of removed) {
+            // Park it outside the key map so its index can be reused
+            connection.keyIndex = -1;
+            this.retiringConnections.delete(connection);
+            this.strandedConnections.add(connection);
+        }
+
         this.logger.info(`Updated API keys: ${newApiKeys.length} keys available`);
+
+        const waiting = this.drainStrandedConnections();
+        if (waiting > 0) {
+            this.emit('error', new Error(
+                `No API key can take ${waiting} wallets from removed keys; retrying the handover`
+            ));
+        }
     }
 
     /**
-     * Handle RPC errors
-     * @param {Object} error - RPC error object
+     * Hand the wallets of removed API keys' connections over to the remaining
+     * keys. Wallets no key can take stay on the old socket, which keeps serving
+     * them while the key works, and are retried every handoverRetryInterval.
+     * @returns {number} Wallets still waiting for a connection
      */
-    handleRpcError(error) {
-        this.logger.error('RPC Error:', error);
-        
-        if (error.code === -32600 || error.code === -32601) {
-            // Invalid request, try with different API key
-            this.markApiKeyFailed(this.currentApiKeyIndex);
-            this.rotateApiKey();
+    drainStrandedConnections() {
+        let waiting = 0;
+
+        for (const connection of this.strandedConnections) {
+            // A started handover closes the connection once its wallets land
+            const isMoving = this.retiringConnections.has(connection) ||
+                Array.from(this.handovers.values()).some(({ from }) => from === connection);
+            if (isMoving) {
+                continue;
+            }
+
+            this.handoverConnection(connection);
+
+            if (!this.retiringConnections.has(connection)) {
+                waiting += Array.from(connection.getWallets()).filter(walletAddress =>
+                    this.walletConnections.get(walletAddress) === connection &&
+                    !this.handovers.has(walletAddress)
+                ).length;
+            }
+        }
+
+        if (this.strandedConnections.size === 0) {
+            if (this.handoverRetryTimer) {
+                clearInterval(this.handoverRetryTimer);
+                this.handoverRetryTimer = null;
+            }
+        } else if (!this.handoverRetryTimer) {
+            this.handoverRetryTimer = setInterval(() => {
+                const remaining = this.drainStrandedConnections();
+                if (remaining > 0) {
+                    this.logger.warn(`${remaining} wallets still on removed API keys`);
+                }
+            }, this.options.handoverRetryInterval);
         }
+
+        return waiting;
     }
 
     /**
-     * Handle subscription responses
-     * @param {Object} response - Subscription response
+     * Handle RPC errors
+     * @param {Object} error - RPC error object
+     * @param {WebSocketConnection} connection - Connection that received it
      */
-    handleSubscriptionResponse(response) {
-        if (response.result && typeof response.result === 'number') {
-            this.logger.info(`Subscription confirmed with ID: ${response.result}`);
+    handleRpcError(error, connection) {
+        this.logger.error('RPC Error:', error);
+
+        if (connection.provider !== 'helius') {
+            return;
+        }
+
+        if (error.code === -32600 || error.code === -32601) {
+            // Invalid request, move this socket's wallets to a different API key
+            // instead of retrying them on this one
+            connection.cancelSubscriptionRetry();
+            this.markApiKeyFailed(connection.keyIndex);
+            this.handoverConnection(connection);
         }
     }
 }
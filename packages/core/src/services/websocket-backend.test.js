@@ -0,0 +1,109 @@
+import { WebSocketBackend } from './websocket-backend.js';
+import { MemoryTransport, SOCKET_STATE } from './websocket-transports.js';
+
+const STANDARD_RPC = 'https://api.mainnet-beta.solana.com';
+const keyed = apiKey => `https://mainnet.helius-rpc.com/?api-key=${apiKey}`;
+const WALLET = 'So11111111111111111111111111111111111111112';
+
+// Let sockets open and subscription responses arrive
+const settle = () => jest.advanceTimersByTimeAsync(100);
+
+describe('WebSocketBackend', () => {
+    describe('account lookups', () => {
+        test('go through the API keys when they are set', () => {
+            const backend = new WebSocketBackend({
+                apiKeys: ['key-a', 'key-b'],
+                keyRotationInterval: 0
+            });
+
+            expect(backend.lookupTableResolver.rpcService).toBe(backend.queryRpcService);
+            expect(backend.tokenExtensionService.rpcService).toBe(backend.queryRpcService);
+            expect(backend.queryRpcService.getRpcUrl()).toBe(keyed('key-a'));
+            expect(backend.queryRpcService.getRpcUrl()).toBe(keyed('key-b'));
+        });
+
+        test('fall back to the standard RPC without keys, Helius or the Helius provider', () => {
+            const backends = [
+                {},
+                { apiKeys: ['key'], heliusRpcUrl: null },
+                { apiKeys: ['key'], provider: 'standard' }
+            ].map(options => new WebSocketBackend({ ...options, keyRotationInterval: 0 }));
+
+            for (const backend of backends) {
+                expect(backend.queryRpcService.getRpcUrl()).toBe(STANDARD_RPC);
+            }
+        });
+
+        test('follow API key changes', () => {
+            const backend = new WebSocketBackend({ keyRotationInterval: 0 });
+
+            backend.updateApiKeys(['fresh']);
+            expect(backend.queryRpcService.getRpcUrl()).toBe(keyed('fresh'));
+
+            backend.updateApiKeys([]);
+            expect(backend.queryRpcService.getRpcUrl()).toBe(STANDARD_RPC);
+        });
+    });
+
+    describe('API key updates', () => {
+        let transport;
+        let backend;
+        let errors;
+
+        beforeEach(async () => {
+            jest.useFakeTimers();
+
+            transport = new MemoryTransport();
+            backend = new WebSocketBackend({
+                apiKeys: ['old'],
+                createWebSocket: transport.factory,
+                keyRotationInterval: 0
+            });
+
+            errors = [];
+            backend.on('error', error => errors.push(error.message));
+
+            const connecting = backend.connect();
+            await settle();
+            await connecting;
+            await backend.subscribeToWallet(WALLET);
+            await settle();
+        });
+
+        afterEach(async () => {
+            await backend.disconnect();
+            jest.useRealTimers();
+        });
+
+        test('keep a removed key serving its wallets until another key takes them', async () => {
+            const [oldSocket] = transport.sockets;
+            const oldConnection = backend.walletConnections.get(WALLET);
+
+            backend.updateApiKeys([]);
+
+            expect(errors).toEqual([
+                'No API key can take 1 wallets from removed keys; retrying the handover'
+            ]);
+            expect(backend.walletConnections.get(WALLET)).toBe(oldConnection);
+            expect(backend.getStatus().connections).toHaveLength(1);
+            expect(oldSocket.readyState).toBe(SOCKET_STATE.OPEN);
+
+            // Still stranded at the retry, since no key came back
+            await jest.advanceTimersByTimeAsync(30000);
+            expect(backend.walletConnections.get(WALLET)).toBe(oldConnection);
+
+            backend.updateApiKeys(['new']);
+            await settle();
+
+            expect(transport.sockets.map(socket => socket.url.split('api-key=')[1]))
+                .toEqual(['old', 'new']);
+            expect(backend.walletConnections.get(WALLET).apiKey).toBe('new');
+            expect(oldSocket.readyState).toBe(SOCKET_STATE.CLOSED);
+            expect(backend.getStatus().connections).toHaveLength(1);
+
+            await jest.advanceTimersByTimeAsync(30000);
+            expect(backend.handoverRetryTimer).toBeNull();
+            expect(errors).toHaveLength(1);
+        });
+    });
+});
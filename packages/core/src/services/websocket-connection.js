@@ -0,0 +1,1085 @@
+/**
+ * WebSocket Connection
+ * A single Helius WebSocket bound to one API key (or a standard Solana RPC
+ * WebSocket), with its own reconnection logic and server subscription
+ * bookkeeping. WebSocketBackend shards wallets across several of these.
+ */
+
+import { EventEmitter } from '../utils/event-emitter.js';
+import { Logger } from '../utils/logger.js';
+import { NETWORK_PROFILES, DEFAULT_NETWORK, withApiKey } from '../utils/network-profiles.js';
+import { createBrowserTransport, SOCKET_STATE } from './websocket-transports.js';
+
+// Request IDs of keepalives, whose replies never reach the subscription handlers
+const KEEPALIVE_ID_PREFIX = 'keepalive-';
+
+// Subscription RPC methods per provider, and the event their notifications are emitted as
+const PROVIDER_METHODS = {
+    helius: {
+        subscribe: 'transactionSubscribe',
+        unsubscribe: 'transactionUnsubscribe',
+        notification: 'transactionNotification',
+        event: 'notification'
+    },
+    standard: {
+        subscribe: 'logsSubscribe',
+        unsubscribe: 'logsUnsubscribe',
+        notification: 'logsNotification',
+        event: 'logsNotification'
+    }
+};
+
+export const PROVIDERS = Object.keys(PROVIDER_METHODS);
+
+export class WebSocketConnection extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            apiKey: options.apiKey,
+            keyIndex: options.keyIndex || 0,
+            reconnectAttempts: options.reconnectAttempts || 5,
+            reconnectDelay: options.reconnectDelay || 1000,
+            maxReconnectDelay: options.maxReconnectDelay || 30000,
+            heartbeatInterval: options.heartbeatInterval || 30000,
+            connectTimeout: options.connectTimeout || 10000,
+            commitment: options.commitment || 'confirmed',
+            provider: options.provider || 'helius',
+            heliusWsUrl: options.heliusWsUrl || NETWORK_PROFILES[DEFAULT_NETWORK].heliusWsUrl,
+            createWebSocket: options.createWebSocket || createBrowserTransport(),
+            subscriptionBatchSize: options.subscriptionBatchSize || 100,
+            subscriptionBatchDelay: options.subscriptionBatchDelay !== undefined
+                ? options.subscriptionBatchDelay
+                : 10,
+            ...options
+        };
+
+        // Without traffic or pongs for this long the socket is treated as dead
+        if (!this.options.livenessTimeout) {
+            this.options.livenessTimeout = this.options.heartbeatInterval * 2 + 10000;
+        }
+
+        if (!PROVIDER_METHODS[this.options.provider]) {
+            throw new Error(`Unknown WebSocket provider: ${this.options.provider}`);
+        }
+
+        this.apiKey = this.options.apiKey;
+        this.keyIndex = this.options.keyIndex;
+        this.provider = this.options.provider;
+        this.methods = PROVIDER_METHODS[this.provider];
+
+        // logsSubscribe mentions a single address, so standard RPC cannot batch
+        this.maxBatchSize = this.provider === 'standard' ? 1 : this.options.subscriptionBatchSize;
+
+        // Connection state
+        this.websocket = null;
+        this.isConnected = false;
+        this.isConnecting = false;
+        this.isClosing = false;
+        this.reconnectCount = 0;
+        this.reconnectExhausted = false; // maxReconnectAttemptsReached emitted for this attempt
+        this.subscribeRetryCount = 0;
+        this.hasConnectedBefore = false;
+        this.connectedAt = null;
+        this.disconnectedAt = null;
+        this.connectPromise = null;
+        this.lastActivityAt = null;
+
+        // Subscription management
+        this.subscriptions = new Set(); // wallets this socket delivers
+        this.pendingSubscriptions = new Set(); // wallets waiting for the socket to open
+        this.unplacedWallets = new Set(); // wallets waiting for the next flush
+        this.groups = new Map(); // group ID -> { wallets, state, requestId, subscriptionId, ... }
+        this.walletGroups = new Map(); // wallet -> ID of the newest group carrying it
+        this.subscriptionGroups = new Map(); // server subscription ID -> group ID
+        this.dirtyGroups = new Set(); // groups to reissue on the next flush
+        this.pendingRequests = new Map(); // request ID -> { method, groupId, subscriptionId }
+        this.nextGroupId = 1;
+
+        // Timers
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.flushTimer = null;
+        this.subscribeRetryTimer = null;
+
+        const label = this.provider === 'helius' ? `#${this.keyIndex + 1}` : this.provider;
+        this.logger = new Logger({ prefix: `[WebSocket ${label}]` });
+    }
+
+    /**
+     * Connect to the WebSocket
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        if (this.isConnected) {
+            return;
+        }
+
+        // Callers racing an in-flight attempt share its outcome
+        if (this.isConnecting) {
+            return this.connectPromise;
+        }
+
+        if (this.provider === 'helius' && !this.apiKey) {
+            throw new Error('No API key available for WebSocket connection');
+        }
+
+        this.isConnecting = true;
+        this.isClosing = false;
+        this.reconnectExhausted = false;
+        this.logger.info(`Connecting to ${this.provider} WebSocket`);
+
+        this.connectPromise = this.openSocket();
+        return this.connectPromise;
+    }
+
+    /**
+     * Open the socket and wait for it to connect
+     * @returns {Promise<void>}
+     */
+    async openSocket() {
+        try {
+            this.websocket = this.options.createWebSocket(this.getUrl());
+
+            this.websocket.onopen = this.handleOpen.bind(this);
+            this.websocket.onmessage = this.handleMessage.bind(this);
+            this.websocket.onclose = this.handleClose.bind(this);
+            this.websocket.onerror = this.handleError.bind(this);
+
+            // Node `ws` sockets answer protocol pings with pong frames
+            if (typeof this.websocket.on === 'function') {
+                this.websocket.on('pong', () => this.markActivity());
+            }
+
+            await new Promise((resolve, reject) => {
+                const cleanup = () => {
+                    clearTimeout(connectTimeout);
+                    this.removeListener('connected', onConnected);
+                    this.removeListener('error', onError);
+                    this.removeListener('disconnected', onClosed);
+                };
+                const onConnected = () => {
+                    cleanup();
+                    resolve();
+                };
+                const onError = (error) => {
+                    cleanup();
+                    reject(error);
+                };
+                const onClosed = (event) => {
+                    cleanup();
+                    reject(new Error(`WebSocket closed before opening: ${event.code}`));
+                };
+
+                // Connection timeout
+                const connectTimeout = setTimeout(() => {
+                    if (this.isConnecting) {
+                        this.logger.error('WebSocket connection timeout');
+                        cleanup();
+                        this.websocket.close();
+                        reject(new Error('WebSocket connection timeout'));
+                    }
+                }, this.options.connectTimeout);
+
+                this.once('connected', onConnected);
+                this.once('error', onError);
+                this.once('disconnected', onClosed);
+            });
+
+        } catch (error) {
+            this.isConnecting = false;
+            throw error;
+        }
+    }
+
+    /**
+     * Build the WebSocket URL for this connection
+     * @returns {string} WebSocket URL
+     */
+    getUrl() {
+        if (this.provider === 'standard') {
+            return this.options.url;
+        }
+
+        return withApiKey(this.options.heliusWsUrl, this.apiKey);
+    }
+
+    /**
+     * Handle WebSocket open event
+     */
+    handleOpen() {
+        this.isConnected = true;
+        this.isConnecting = false;
+        this.reconnectCount = 0;
+        this.subscribeRetryCount = 0;
+        this.connectedAt = Date.now();
+        this.markActivity();
+
+        this.logger.info('WebSocket connected successfully');
+        this.emit('connected');
+
+        this.setupHeartbeat();
+        this.resubscribeAll();
+
+        // Listeners use this to recover whatever landed while the socket was down
+        if (this.hasConnectedBefore) {
+            this.emit('reconnected', {
+                walletAddresses: Array.from(this.subscriptions),
+                disconnectedAt: this.disconnectedAt
+            });
+        }
+        this.hasConnectedBefore = true;
+        this.disconnectedAt = null;
+    }
+
+    /**
+     * Handle incoming WebSocket messages
+     * @param {MessageEvent} event - WebSocket message event
+     */
+    handleMessage(event) {
+        this.markActivity();
+
+        try {
+            const data = JSON.parse(event.data);
+
+            // Any answer to a keepalive proves the socket is alive, even an error
+            if (typeof data.id === 'string' && data.id.startsWith(KEEPALIVE_ID_PREFIX)) {
+                return;
+            }
+
+            if (data.method === this.methods.notification) {
+                this.handleSubscriptionNotification(data.params);
+            } else if (data.method === 'accountNotification') {
+                this.emit('accountNotification', data.params);
+            } else if (data.id && data.result !== undefined) {
+                this.handleSubscriptionResponse(data);
+            } else if (data.error) {
+                this.handleRpcError(data.error, data.id);
+            }
+
+        } catch (error) {
+            this.logger.error('Error parsing WebSocket message:', error);
+        }
+    }
+
+    /**
+     * Handle transaction or logs notifications
+     * @param {Object} params - Notification parameters
+     */
+    handleSubscriptionNotification(params) {
+        const group = this.groups.get(this.subscriptionGroups.get(params.subscription));
+
+        // Notifications can still arrive for a subscription we already dropped or replaced
+        if (!group || group.state === 'unsubscribing') {
+            this.logger.info(`Ignoring notification for stale subscription ${params.subscription}`);
+            return;
+        }
+
+        const walletAddresses = this.matchGroupWallets(group, params.result)
+            .filter(walletAddress => this.subscriptions.has(walletAddress));
+
+        for (const walletAddress of walletAddresses) {
+            this.emit(this.methods.event, walletAddress, params.result, this.options.commitment);
+        }
+    }
+
+    /**
+     * Work out which wallets of a batched subscription a transaction touches
+     * @param {Object} group - Subscription group
+     * @param {Object} result - Notification result
+     * @returns {Array<string>} Wallet addresses
+     */
+    matchGroupWallets(group, result) {
+        if (group.wallets.size === 1) {
+            return Array.from(group.wallets);
+        }
+
+        const message = result?.transaction?.transaction?.message;
+        const meta = result?.transaction?.meta || {};
+        const loaded = meta.loadedAddresses || {};
+        const tokenBalances = [...(meta.preTokenBalances || []), ...(meta.postTokenBalances || [])];
+        const accounts = new Set([
+            ...(message?.accountKeys || []).map(key => key.pubkey || key),
+            ...(loaded.writable || []),
+            ...(loaded.readonly || []),
+            // Token accounts are listed, not their owners or mints
+            ...tokenBalances.flatMap(balance => [balance.owner, balance.mint])
+        ]);
+
+        return Array.from(group.wallets).filter(walletAddress => accounts.has(walletAddress));
+    }
+
+    /**
+     * Subscribe to wallet transactions. Wallets are batched into shared
+     * subscriptions, so the request goes out with the next flush.
+     * @param {string} walletAddress - Wallet address to monitor
+     * @returns {Promise<boolean>} Whether the wallet was accepted on the open socket
+     */
+    async subscribeToWallet(walletAddress) {
+        if (!this.isConnected) {
+            this.pendingSubscriptions.add(walletAddress);
+            return false;
+        }
+
+        this.pendingSubscriptions.delete(walletAddress);
+        if (this.subscriptions.has(walletAddress)) {
+            return true;
+        }
+
+        this.subscriptions.add(walletAddress);
+
+        // A wallet removed and re-added before the flush is still in its old group
+        if (!this.walletGroups.has(walletAddress)) {
+            this.unplacedWallets.add(walletAddress);
+        }
+
+        this.scheduleFlush();
+        return true;
+    }
+
+    /**
+     * Unsubscribe from wallet transactions
+     * @param {string} walletAddress - Wallet address to stop monitoring
+     * @returns {Promise<boolean>} Success status
+     */
+    async unsubscribeFromWallet(walletAddress) {
+        this.subscriptions.delete(walletAddress);
+        this.pendingSubscriptions.delete(walletAddress);
+        this.unplacedWallets.delete(walletAddress);
+
+        // Its group is reissued without it on the next flush
+        const groupId = this.walletGroups.get(walletAddress);
+        if (groupId !== undefined) {
+            this.walletGroups.delete(walletAddress);
+            this.dirtyGroups.add(groupId);
+            this.scheduleFlush();
+        }
+
+        return true;
+    }
+
+    /**
+     * Flush subscription changes after a short delay, so bursts share requests
+     */
+    scheduleFlush() {
+        if (this.flushTimer) {
+            return;
+        }
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flushSubscriptions();
+        }, this.options.subscriptionBatchDelay);
+    }
+
+    /**
+     * Regroup added wallets and the remaining wallets of changed groups into
+     * batched subscriptions. Replaced groups stay subscribed until every batch
+     * that took over their wallets is confirmed (make-before-break).
+     */
+    flushSubscriptions() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        if (!this.isConnected) {
+            return;
+        }
+
+        const pool = new Set(this.unplacedWallets);
+        const replaced = [];
+        this.unplacedWallets.clear();
+
+        for (const groupId of this.dirtyGroups) {
+            const group = this.groups.get(groupId);
+            if (!group || group.state === 'unsubscribing') {
+                continue;
+            }
+
+            group.wallets.forEach(walletAddress => {
+                if (this.subscriptions.has(walletAddress)) {
+                    pool.add(walletAddress);
+                }
+            });
+            replaced.push(group);
+        }
+        this.dirtyGroups.clear();
+
+        // Top up the emptiest confirmed group rather than opening another small one
+        if (pool.size % this.maxBatchSize !== 0) {
+            const emptiest = Array.from(this.groups.values())
+                .filter(group =>
+                    group.state === 'active' &&
+                    !group.waitingFor &&
+                    !replaced.includes(group) &&
+                    group.wallets.size + (pool.size % this.maxBatchSize) <= this.maxBatchSize
+                )
+                .sort((a, b) => a.wallets.size - b.wallets.size)[0];
+
+            if (emptiest) {
+                emptiest.wallets.forEach(walletAddress => pool.add(walletAddress));
+                replaced.push(emptiest);
+            }
+        }
+
+        const walletAddresses = Array.from(pool);
+        const created = [];
+        for (let i = 0; i < walletAddresses.length; i += this.maxBatchSize) {
+            created.push(this.sendGroupSubscribe(walletAddresses.slice(i, i + this.maxBatchSize)));
+        }
+
+        for (const group of replaced) {
+            this.replaceGroup(group, created);
+        }
+
+        if (created.length > 0) {
+            this.logger.info(`Subscribing ${pool.size} wallets in ${created.length} batches`);
+        }
+    }
+
+    /**
+     * Send a batched subscription for a group of wallets
+     * @param {Array<string>} walletAddresses - Wallets in the group
+     * @returns {Object} Group
+     */
+    sendGroupSubscribe(walletAddresses) {
+        const requestId = this.generateId();
+        const group = {
+            id: this.nextGroupId++,
+            wallets: new Set(walletAddresses),
+            state: 'pending',
+            requestId: requestId,
+            subscriptionId: null,
+            subscribedAt: null,
+            waitingFor: null
+        };
+
+        this.groups.set(group.id, group);
+        this.pendingRequests.set(requestId, { method: this.methods.subscribe, groupId: group.id });
+        walletAddresses.forEach(walletAddress => this.walletGroups.set(walletAddress, group.id));
+
+        this.sendMessage({
+            jsonrpc: '2.0',
+            id: requestId,
+            method: this.methods.subscribe,
+            params: this.buildSubscribeParams(walletAddresses)
+        });
+
+        return group;
+    }
+
+    /**
+     * Retire a group once the groups that took over its wallets are confirmed
+     * @param {Object} group - Group being replaced
+     * @param {Array<Object>} successors - Groups that took over its wallets
+     */
+    replaceGroup(group, successors) {
+        // Unconfirmed groups deliver nothing, so whatever waits on them waits on the successors
+        if (group.state === 'pending') {
+            for (const other of this.groups.values()) {
+                if (other.waitingFor && other.waitingFor.delete(group.id)) {
+                    successors.forEach(successor => other.waitingFor.add(successor.id));
+                }
+            }
+            this.retireGroup(group);
+            return;
+        }
+
+        group.waitingFor = new Set(successors.map(successor => successor.id));
+        if (group.waitingFor.size === 0) {
+            this.retireGroup(group);
+        }
+    }
+
+    /**
+     * Let groups waiting on a settled successor retire once nothing else is outstanding
+     * @param {number} groupId - Group that was confirmed or failed
+     */
+    settleSuccessor(groupId) {
+        for (const group of Array.from(this.groups.values())) {
+            const waiting = group.waitingFor;
+            if (waiting && waiting.delete(groupId) && waiting.size === 0) {
+                this.retireGroup(group);
+            }
+        }
+    }
+
+    /**
+     * Unsubscribe a group, deferring until the server assigned its ID
+     * @param {Object} group - Group
+     */
+    retireGroup(group) {
+        group.waitingFor = null;
+
+        for (const walletAddress of group.wallets) {
+            if (this.walletGroups.get(walletAddress) === group.id) {
+                this.walletGroups.delete(walletAddress);
+            }
+        }
+
+        if (group.subscriptionId === null) {
+            // Server has not answered yet; the unsubscribe goes out once the ID arrives
+            group.state = 'unsubscribing';
+            return;
+        }
+
+        this.sendUnsubscribe(group);
+    }
+
+    /**
+     * Build the subscribe parameters for a group of wallets
+     * @param {Array<string>} walletAddresses - Wallet addresses to monitor
+     * @returns {Array} RPC parameters
+     */
+    buildSubscribeParams(walletAddresses) {
+        // Standard RPC only reports signatures for one address; the backend fetches the transaction
+        if (this.provider === 'standard') {
+            return [
+                { mentions: [walletAddresses[0]] },
+                { commitment: this.options.commitment }
+            ];
+        }
+
+        return [
+            {
+                accountInclude: walletAddresses,
+                accountExclude: [],
+                failed: false
+            },
+            {
+                commitment: this.options.commitment,
+                encoding: 'jsonParsed',
+                transactionDetails: 'full',
+                showRewards: false,
+                maxSupportedTransactionVersion: 0
+            }
+        ];
+    }
+
+    /**
+     * Send the unsubscribe request for a confirmed server subscription
+     * @param {Object} group - Group whose subscription is dropped
+     */
+    sendUnsubscribe(group) {
+        const requestId = this.generateId();
+        this.pendingRequests.set(requestId, {
+            method: this.methods.unsubscribe,
+            groupId: group.id,
+            subscriptionId: group.subscriptionId
+        });
+
+        group.state = 'unsubscribing';
+
+        this.sendMessage({
+            jsonrpc: '2.0',
+            id: requestId,
+            method: this.methods.unsubscribe,
+            params: [group.subscriptionId]
+        });
+
+        this.logger.info(`Unsubscribing subscription ${group.subscriptionId}`);
+    }
+
+    /**
+     * Switch commitment level, replacing every live subscription
+     * @param {string} commitment - Commitment level
+     */
+    async setCommitment(commitment) {
+        this.options.commitment = commitment;
+
+        for (const group of this.groups.values()) {
+            if (group.state !== 'unsubscribing') {
+                this.dirtyGroups.add(group.id);
+            }
+        }
+
+        this.flushSubscriptions();
+    }
+
+    /**
+     * Forget a group and its server subscription ID
+     * @param {number} groupId - Group ID
+     */
+    removeGroup(groupId) {
+        const group = this.groups.get(groupId);
+        if (group && group.subscriptionId !== null) {
+            this.subscriptionGroups.delete(group.subscriptionId);
+        }
+        this.groups.delete(groupId);
+    }
+
+    /**
+     * Drop server-side subscription state that does not survive a closed socket
+     */
+    resetServerSubscriptions() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        // Opening the next socket resubscribes every queued wallet anyway
+        this.cancelSubscriptionRetry();
+
+        this.pendingRequests.clear();
+        this.subscriptionGroups.clear();
+        this.groups.clear();
+        this.walletGroups.clear();
+        this.dirtyGroups.clear();
+        this.unplacedWallets.clear();
+    }
+
+    /**
+     * Find the confirmed group delivering a wallet
+     * @param {string} walletAddress - Wallet address
+     * @returns {Object|null} Group
+     */
+    findActiveGroup(walletAddress) {
+        for (const group of this.groups.values()) {
+            if (group.state === 'active' && group.wallets.has(walletAddress)) {
+                return group;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a wallet's subscription is confirmed by the server
+     * @param {string} walletAddress - Wallet address
+     * @returns {boolean} Is active
+     */
+    isSubscriptionActive(walletAddress) {
+        if (!this.subscriptions.has(walletAddress)) {
+            return false;
+        }
+        return this.findActiveGroup(walletAddress) !== null;
+    }
+
+    /**
+     * Get the wallets assigned to this connection, subscribed or queued
+     * @returns {Set<string>} Wallet addresses
+     */
+    getWallets() {
+        return new Set([...this.subscriptions, ...this.pendingSubscriptions]);
+    }
+
+    /**
+     * Send message through WebSocket
+     * @param {Object} message - Message to send
+     */
+    sendMessage(message) {
+        if (this.websocket && this.websocket.readyState === SOCKET_STATE.OPEN) {
+            this.websocket.send(JSON.stringify(message));
+        } else {
+            this.logger.warn('Cannot send message: WebSocket not connected');
+        }
+    }
+
+    /**
+     * Record that the socket showed signs of life
+     */
+    markActivity() {
+        this.lastActivityAt = Date.now();
+    }
+
+    /**
+     * Setup heartbeat to keep connection alive and detect stale sockets
+     */
+    setupHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+        }
+
+        this.heartbeatTimer = setInterval(() => {
+            if (Date.now() - this.lastActivityAt > this.options.livenessTimeout) {
+                this.forceReconnect('Liveness timeout');
+                return;
+            }
+
+            this.sendKeepalive();
+        }, this.options.heartbeatInterval);
+    }
+
+    /**
+     * Send a keepalive the server has to answer
+     */
+    sendKeepalive() {
+        if (!this.websocket || this.websocket.readyState !== SOCKET_STATE.OPEN) {
+            return;
+        }
+
+        // Node sockets support protocol pings; browsers only let us send messages
+        if (typeof this.websocket.ping === 'function') {
+            this.websocket.ping();
+            return;
+        }
+
+        this.sendMessage({
+            jsonrpc: '2.0',
+            id: KEEPALIVE_ID_PREFIX + this.generateId(),
+            method: 'getHealth'
+        });
+    }
+
+    /**
+     * Abandon a socket that stopped responding and reconnect
+     * @param {string} reason - Why the socket is abandoned
+     */
+    forceReconnect(reason) {
+        const socket = this.websocket;
+        if (!socket) {
+            return;
+        }
+
+        this.logger.warn(`Forcing reconnection: ${reason}`);
+
+        // A half-open socket may never fire onclose, so detach and close it ourselves
+        socket.onopen = null;
+        socket.onmessage = null;
+        socket.onclose = null;
+        socket.onerror = null;
+        this.websocket = null;
+
+        try {
+            socket.close(4000, reason);
+        } catch (error) {
+            this.logger.warn('Error closing stale socket:', error);
+        }
+
+        this.handleClose({ code: 4000, reason });
+    }
+
+    /**
+     * Resubscribe to all active subscriptions, sending every batch at once
+     */
+    async resubscribeAll() {
+        if (!this.isConnected) {
+            return;
+        }
+
+        this.pendingSubscriptions.forEach(walletAddress => this.subscriptions.add(walletAddress));
+        this.pendingSubscriptions.clear();
+
+        for (const walletAddress of this.subscriptions) {
+            if (!this.walletGroups.has(walletAddress)) {
+                this.unplacedWallets.add(walletAddress);
+            }
+        }
+
+        this.flushSubscriptions();
+    }
+
+    /**
+     * Handle WebSocket close event
+     * @param {CloseEvent} event - Close event
+     */
+    handleClose(event) {
+        const wasConnected = this.isConnected;
+
+        this.isConnected = false;
+        this.isConnecting = false;
+
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+
+        if (wasConnected) {
+            this.disconnectedAt = Date.now();
+        }
+
+        // Subscription IDs are scoped to the socket; resubscribeAll issues new ones
+        this.resetServerSubscriptions();
+
+        this.logger.warn(`WebSocket closed: ${event.code} - ${event.reason}`);
+        this.emit('disconnected', event);
+
+        // Attempt reconnection if not intentionally closed
+        if (event.code !== 1000 && !this.isClosing) {
+            this.scheduleReconnect();
+        }
+    }
+
+    /**
+     * Handle WebSocket error event
+     * @param {Event} event - Error event
+     */
+    handleError(event) {
+        this.logger.error('WebSocket error:', event);
+        this.emit('error', event);
+    }
+
+    /**
+     * Schedule reconnection attempt
+     */
+    scheduleReconnect() {
+        if (this.reconnectCount >= this.options.reconnectAttempts) {
+            // The last attempt's close event and its rejected promise both end up here
+            if (!this.reconnectExhausted) {
+                this.reconnectExhausted = true;
+                this.logger.error('Max reconnection attempts reached');
+                this.emit('maxReconnectAttemptsReached');
+            }
+            return;
+        }
+
+        const delay = Math.min(
+            this.options.reconnectDelay * Math.pow(2, this.reconnectCount),
+            this.options.maxReconnectDelay
+        );
+
+        this.logger.info(
+            `Scheduling reconnection attempt ${this.reconnectCount + 1} in ${delay}ms`
+        );
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.reconnectCount++;
+            this.connect().catch(error => {
+                this.logger.error('Reconnection failed:', error);
+                // A close event after a failed attempt schedules the next one itself
+                if (!this.reconnectTimer && !this.isConnecting) {
+                    this.scheduleReconnect();
+                }
+            });
+        }, delay);
+    }
+
+    /**
+     * Retry the wallets a failed subscribe request queued again, with backoff.
+     * Gives up after reconnectAttempts tries in a row and emits
+     * `subscriptionFailed`; the wallets stay queued for the next socket.
+     * @param {Object} error - RPC error of the failed request
+     */
+    scheduleSubscriptionRetry(error) {
+        if (this.subscribeRetryTimer || this.pendingSubscriptions.size === 0) {
+            return;
+        }
+
+        if (this.subscribeRetryCount >= this.options.reconnectAttempts) {
+            const wallets = Array.from(this.pendingSubscriptions);
+            this.logger.error(`Giving up subscribing ${wallets.length} wallets`);
+            this.emit('subscriptionFailed', wallets, error);
+            return;
+        }
+
+        const delay = Math.min(
+            this.options.reconnectDelay * Math.pow(2, this.subscribeRetryCount),
+            this.options.maxReconnectDelay
+        );
+
+        this.logger.info(`Retrying subscription of ${this.pendingSubscriptions.size} wallets ` +
+            `in ${delay}ms`);
+
+        this.subscribeRetryTimer = setTimeout(() => {
+            this.subscribeRetryTimer = null;
+            this.subscribeRetryCount++;
+            this.resubscribeAll();
+        }, delay);
+    }
+
+    /**
+     * Cancel a scheduled subscription retry
+     */
+    cancelSubscriptionRetry() {
+        if (this.subscribeRetryTimer) {
+            clearTimeout(this.subscribeRetryTimer);
+            this.subscribeRetryTimer = null;
+        }
+    }
+
+    /**
+     * Force reconnection
+     */
+    async reconnect() {
+        if (this.websocket) {
+            this.websocket.close(1000, 'Manual reconnection');
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        await this.connect();
+    }
+
+    /**
+     * Disconnect WebSocket
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        this.isClosing = true;
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+
+        if (this.websocket) {
+            this.websocket.close(1000, 'Manual disconnection');
+            this.websocket = null;
+        }
+
+        this.isConnected = false;
+        this.isConnecting = false;
+        this.hasConnectedBefore = false;
+        this.subscriptions.clear();
+        this.pendingSubscriptions.clear();
+        this.resetServerSubscriptions();
+    }
+
+    /**
+     * Generate unique ID for RPC calls
+     * @returns {string} Unique ID
+     */
+    generateId() {
+        return Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Get connection status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return {
+            keyIndex: this.keyIndex,
+            provider: this.provider,
+            isConnected: this.isConnected,
+            isConnecting: this.isConnecting,
+            reconnectCount: this.reconnectCount,
+            connectedAt: this.connectedAt,
+            lastActivityAt: this.lastActivityAt,
+            subscriptions: this.subscriptions.size,
+            pendingSubscriptions: this.pendingSubscriptions.size,
+            subscriptionGroups: this.groups.size
+        };
+    }
+
+    /**
+     * Get per-wallet subscription state
+     * @returns {Object} Map of wallet address to subscription state
+     */
+    getSubscriptionDetails() {
+        const details = {};
+
+        for (const walletAddress of this.pendingSubscriptions) {
+            details[walletAddress] = { state: 'queued', subscriptionId: null, subscribedAt: null };
+        }
+
+        for (const walletAddress of this.subscriptions) {
+            const group = this.findActiveGroup(walletAddress) ||
+                this.groups.get(this.walletGroups.get(walletAddress));
+
+            details[walletAddress] = group
+                ? {
+                    state: group.state,
+                    subscriptionId: group.subscriptionId,
+                    subscribedAt: group.subscribedAt,
+                    batchSize: group.wallets.size
+                }
+                : { state: 'pending', subscriptionId: null, subscribedAt: null };
+        }
+
+        return details;
+    }
+
+    /**
+     * Handle RPC errors
+     * @param {Object} error - RPC error object
+     * @param {string} [requestId] - ID of the request that failed
+     */
+    handleRpcError(error, requestId) {
+        this.logger.error('RPC Error:', error);
+
+        const request = requestId ? this.pendingRequests.get(requestId) : null;
+        if (request) {
+            this.pendingRequests.delete(requestId);
+
+            const group = this.groups.get(request.groupId);
+            if (request.method === this.methods.subscribe && group) {
+                this.removeGroup(group.id);
+
+                // Queue the batch's wallets again so the next resubscribe retries them
+                for (const walletAddress of group.wallets) {
+                    if (this.walletGroups.get(walletAddress) === group.id) {
+                        this.walletGroups.delete(walletAddress);
+                        if (this.subscriptions.delete(walletAddress)) {
+                            this.pendingSubscriptions.add(walletAddress);
+                        }
+                    }
+                }
+
+                // Groups it was meant to replace keep delivering until the retry
+                for (const other of this.groups.values()) {
+                    if (other.waitingFor && other.waitingFor.delete(group.id)) {
+                        other.waitingFor = other.waitingFor.size > 0 ? other.waitingFor : null;
+                    }
+                }
+
+                this.scheduleSubscriptionRetry(error);
+            } else if (request.method === this.methods.unsubscribe) {
+                // Nothing more to do server-side; stop routing the old ID locally
+                this.removeGroup(request.groupId);
+            }
+        }
+
+        this.emit('rpcError', error);
+    }
+
+    /**
+     * Handle subscription responses
+     * @param {Object} response - Subscription response
+     */
+    handleSubscriptionResponse(response) {
+        const request = this.pendingRequests.get(response.id);
+        if (!request) {
+            return;
+        }
+
+        this.pendingRequests.delete(response.id);
+
+        if (request.method === this.methods.unsubscribe) {
+            this.removeGroup(request.groupId);
+            this.logger.info(`Unsubscribed from subscription ${request.subscriptionId}`);
+            return;
+        }
+
+        if (typeof response.result !== 'number') {
+            return;
+        }
+
+        const group = this.groups.get(request.groupId);
+        if (!group) {
+            // Dropped while the request was in flight; release it server-side
+            this.sendMessage({
+                jsonrpc: '2.0',
+                id: this.generateId(),
+                method: this.methods.unsubscribe,
+                params: [response.result]
+            });
+            return;
+        }
+
+        group.subscriptionId = response.result;
+        group.subscribedAt = Date.now();
+        this.subscribeRetryCount = 0;
+        this.subscriptionGroups.set(response.result, group.id);
+
+        if (group.state === 'unsubscribing') {
+            this.sendUnsubscribe(group);
+            return;
+        }
+
+        group.state = 'active';
+        this.logger.info(`Subscription ${response.result} covers ${group.wallets.size} wallets`);
+
+        this.settleSuccessor(group.id);
+        for (const walletAddress of group.wallets) {
+            if (this.subscriptions.has(walletAddress)) {
+                this.emit('subscribed', walletAddress, response.result);
+            }
+        }
+    }
+}
@@ -0,0 +1,142 @@
+import { WebSocketConnection } from './websocket-connection.js';
+import { MemoryTransport } from './websocket-transports.js';
+
+const WALLET = 'So11111111111111111111111111111111111111112';
+const RATE_LIMITED = { code: -32005, message: 'Too many requests' };
+
+// Delays between consecutive times, to the nearest 100 ms: each reply or
+// refused handshake takes a fake-timer tick on top of the backoff
+const gaps = times => times.slice(1).map((time, index) =>
+    Math.round((time - times[index]) / 100) * 100
+);
+
+describe('WebSocketConnection', () => {
+    let connection;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(async () => {
+        await connection.disconnect();
+        jest.useRealTimers();
+    });
+
+    describe('subscription retries', () => {
+        let requests;
+        let failures;
+
+        const connect = async (options = {}) => {
+            requests = [];
+            const transport = new MemoryTransport({
+                onClientMessage: (socket, message) => {
+                    requests.push(Date.now());
+                    const reply = requests.length <= failures
+                        ? { error: RATE_LIMITED }
+                        : { result: requests.length };
+                    setTimeout(() => {
+                        socket.receive({ jsonrpc: '2.0', id: message.id, ...reply });
+                    }, 0);
+                }
+            });
+
+            connection = new WebSocketConnection({
+                apiKey: 'key',
+                reconnectDelay: 100,
+                subscriptionBatchDelay: 0,
+                createWebSocket: transport.factory,
+                ...options
+            });
+
+            const connecting = connection.connect();
+            await jest.advanceTimersByTimeAsync(0);
+            await connecting;
+        };
+
+        test('retry a rejected subscription with growing delays until it succeeds', async () => {
+            failures = 2;
+            await connect();
+
+            const subscribed = [];
+            connection.on('subscribed', walletAddress => subscribed.push(walletAddress));
+
+            await connection.subscribeToWallet(WALLET);
+            await jest.advanceTimersByTimeAsync(1000);
+
+            expect(gaps(requests)).toEqual([100, 200]);
+            expect(subscribed).toEqual([WALLET]);
+            expect(connection.subscribeRetryCount).toBe(0);
+            expect(connection.getSubscriptionDetails()[WALLET].state).toBe('active');
+        });
+
+        test('give up after reconnectAttempts and keep the wallets queued', async () => {
+            failures = Infinity;
+            await connect({ reconnectAttempts: 2 });
+
+            const failed = [];
+            connection.on('subscriptionFailed', (wallets, error) => failed.push([wallets, error]));
+
+            await connection.subscribeToWallet(WALLET);
+            await jest.advanceTimersByTimeAsync(10000);
+
+            expect(requests).toHaveLength(3);
+            expect(failed).toEqual([[[WALLET], RATE_LIMITED]]);
+            expect(connection.getSubscriptionDetails()[WALLET].state).toBe('queued');
+        });
+    });
+
+    describe('reconnection', () => {
+        test('backs off exponentially up to maxReconnectDelay, then gives up', async () => {
+            const transport = new MemoryTransport({ autoOpen: false });
+            const attempts = [];
+
+            connection = new WebSocketConnection({
+                apiKey: 'key',
+                reconnectAttempts: 4,
+                reconnectDelay: 100,
+                maxReconnectDelay: 300,
+                createWebSocket: url => {
+                    const socket = transport.createSocket(url);
+                    attempts.push(Date.now());
+                    // Only the first socket opens; the server refuses the rest
+                    setTimeout(() => (attempts.length === 1
+                        ? socket.open()
+                        : socket.serverClose(1006, 'Unavailable')), 0);
+                    return socket;
+                }
+            });
+
+            const exhausted = jest.fn();
+            connection.on('maxReconnectAttemptsReached', exhausted);
+
+            const connecting = connection.connect();
+            await jest.advanceTimersByTimeAsync(0);
+            await connecting;
+
+            const droppedAt = Date.now();
+            transport.sockets[0].serverClose(1006, 'Gone');
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(gaps([droppedAt, ...attempts.slice(1)])).toEqual([100, 200, 300, 300]);
+            expect(exhausted).toHaveBeenCalledTimes(1);
+            expect(connection.isConnected).toBe(false);
+        });
+
+        test('does not reconnect after a manual disconnect', async () => {
+            const transport = new MemoryTransport();
+            connection = new WebSocketConnection({
+                apiKey: 'key',
+                createWebSocket: transport.factory
+            });
+
+            const connecting = connection.connect();
+            await jest.advanceTimersByTimeAsync(0);
+            await connecting;
+
+            await connection.disconnect();
+            await jest.advanceTimersByTimeAsync(60000);
+
+            expect(transport.sockets).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,195 @@
+/**
+ * WebSocket Transports
+ * Factories that turn a URL into a WebSocket-compatible socket, so the backend
+ * runs in browsers, service workers, Node and tests without patching globals
+ */
+
+// WebSocket readyState values shared by every implementation
+export const SOCKET_STATE = {
+    CONNECTING: 0,
+    OPEN: 1,
+    CLOSING: 2,
+    CLOSED: 3
+};
+
+/**
+ * Transport using the global WebSocket (browsers, service workers, Node 22+)
+ * @returns {Function} Factory (url) => socket
+ */
+export function createBrowserTransport() {
+    return (url) => {
+        if (typeof globalThis.WebSocket !== 'function') {
+            throw new Error('No global WebSocket available; pass a createWebSocket transport');
+        }
+        return new globalThis.WebSocket(url);
+    };
+}
+
+/**
+ * Transport using a Node WebSocket implementation such as the `ws` package
+ * @param {Function} WebSocketImpl - WebSocket constructor, e.g. `require('ws')`
+ * @param {Object} [socketOptions] - Options passed through to the constructor
+ * @returns {Function} Factory (url) => socket
+ */
+export function createNodeTransport(WebSocketImpl, socketOptions = {}) {
+    if (typeof WebSocketImpl !== 'function') {
+        throw new Error('createNodeTransport needs a WebSocket constructor');
+    }
+
+    return (url) => new WebSocketImpl(url, socketOptions);
+}
+
+/**
+ * Socket half of the in-memory transport
+ */
+export class MemorySocket {
+    constructor(url, transport) {
+        this.url = url;
+        this.transport = transport;
+        this.readyState = SOCKET_STATE.CONNECTING;
+        this.sent = [];
+
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+    }
+
+    /**
+     * Client -> server message
+     * @param {string} data - Serialized message
+     */
+    send(data) {
+        if (this.readyState !== SOCKET_STATE.OPEN) {
+            throw new Error('MemorySocket is not open');
+        }
+
+        const message = JSON.parse(data);
+        this.sent.push(message);
+        this.transport.handleClientMessage(this, message);
+    }
+
+    /**
+     * Client-initiated close
+     * @param {number} code - Close code
+     * @param {string} reason - Close reason
+     */
+    close(code = 1005, reason = '') {
+        if (this.readyState === SOCKET_STATE.CLOSED) {
+            return;
+        }
+
+        this.readyState = SOCKET_STATE.CLOSED;
+        setTimeout(() => {
+            if (this.onclose) {
+                this.onclose({ code, reason });
+            }
+        }, 0);
+    }
+
+    /**
+     * Complete the handshake
+     */
+    open() {
+        this.readyState = SOCKET_STATE.OPEN;
+        if (this.onopen) {
+            this.onopen();
+        }
+    }
+
+    /**
+     * Server -> client message
+     * @param {Object} message - Message object, serialized before delivery
+     */
+    receive(message) {
+        if (this.readyState === SOCKET_STATE.OPEN && this.onmessage) {
+            this.onmessage({ data: JSON.stringify(message) });
+        }
+    }
+
+    /**
+     * Server-initiated close
+     * @param {number} code - Close code
+     * @param {string} reason - Close reason
+     */
+    serverClose(code = 1006, reason = '') {
+        this.readyState = SOCKET_STATE.CLOSED;
+        if (this.onclose) {
+            this.onclose({ code, reason });
+        }
+    }
+}
+
+/**
+ * In-memory transport for tests and demos. Sockets open on the next tick and
+ * subscription requests are answered automatically unless a handler is set.
+ */
+export class MemoryTransport {
+    constructor(options = {}) {
+        this.options = {
+            autoOpen: options.autoOpen !== false,
+            autoRespond: options.autoRespond !== false,
+            ...options
+        };
+
+        this.sockets = [];
+        this.nextSubscriptionId = 1;
+        this.onClientMessage = options.onClientMessage || null;
+    }
+
+    /**
+     * Factory to hand to the backend as `createWebSocket`
+     * @returns {Function} Factory (url) => socket
+     */
+    get factory() {
+        return (url) => this.createSocket(url);
+    }
+
+    /**
+     * Create a socket
+     * @param {string} url - Requested URL
+     * @returns {MemorySocket} Socket
+     */
+    createSocket(url) {
+        const socket = new MemorySocket(url, this);
+        this.sockets.push(socket);
+
+        if (this.options.autoOpen) {
+            setTimeout(() => socket.open(), 0);
+        }
+
+        return socket;
+    }
+
+    /**
+     * Route a client message to the custom handler or the default responder
+     * @param {MemorySocket} socket - Sending socket
+     * @param {Object} message - Parsed message
+     */
+    handleClientMessage(socket, message) {
+        if (this.onClientMessage) {
+            this.onClientMessage(socket, message);
+            return;
+        }
+
+        if (!this.options.autoRespond || message.id === undefined) {
+            return;
+        }
+
+        const isUnsubscribe = /Unsubscribe$/.test(message.method);
+        const isSubscribe = /Subscribe$/.test(message.method);
+        const result = isUnsubscribe ? true : isSubscribe ? this.nextSubscriptionId++ : null;
+
+        setTimeout(() => {
+            socket.receive({ jsonrpc: '2.0', id: message.id, result });
+        }, 0);
+    }
+
+    /**
+     * Push a notification to every open socket
+     * @param {Object} message - Notification message
+     */
+    broadcast(message) {
+        this.sockets.forEach(socket => socket.receive(message));
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * Base58 Utility
+ * Decodes the base58 instruction data jsonParsed transactions carry for
+ * programs the RPC node cannot parse itself
+ */
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const ALPHABET_MAP = new Map(Array.from(ALPHABET).map((char, index) => [char, index]));
+
+/**
+ * Decode a base58 string
+ * @param {string} value - Base58 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function decodeBase58(value) {
+    const bytes = [];
+
+    for (const char of value) {
+        let carry = ALPHABET_MAP.get(char);
+        if (carry === undefined) {
+            throw new Error(`Invalid base58 character: ${char}`);
+        }
+
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+
+    // Each leading '1' encodes a leading zero byte
+    for (let i = 0; i < value.length && value[i] === '1'; i++) {
+        bytes.push(0);
+    }
+
+    return Uint8Array.from(bytes.reverse());
+}
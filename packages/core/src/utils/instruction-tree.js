@@ -0,0 +1,53 @@
+/**
+ * Instruction Tree Utility
+ * Nests the inner (CPI) instructions of a transaction under the instruction
+ * that invoked them, so routing through aggregators and bot programs is visible
+ */
+
+/**
+ * Attach `meta.innerInstructions` to their top-level instructions as a tree
+ * @param {Array<Object>} instructions - Top-level message instructions
+ * @param {Array<Object>} innerInstructions - meta.innerInstructions ({ index, instructions })
+ * @returns {Array<Object>} Copies of the top-level instructions, each with
+ *   `innerInstructions` holding the instructions it invoked
+ */
+export function buildInstructionTree(instructions, innerInstructions = []) {
+    const tree = instructions.map(instruction => ({ ...instruction, innerInstructions: [] }));
+
+    for (const group of innerInstructions || []) {
+        const parent = tree[group.index];
+        if (!parent) {
+            continue;
+        }
+
+        // stackHeight is 1 for top-level instructions; each CPI adds one
+        const stack = [parent];
+        for (const instruction of group.instructions || []) {
+            const node = { ...instruction, innerInstructions: [] };
+            const depth = instruction.stackHeight ? instruction.stackHeight - 1 : 1;
+
+            // Older nodes omit stackHeight; without it the calls can only be listed flat
+            stack.length = Math.min(Math.max(depth, 1), stack.length);
+            stack[stack.length - 1].innerInstructions.push(node);
+            stack.push(node);
+        }
+    }
+
+    return tree;
+}
+
+/**
+ * List every instruction of a tree, each parent before its inner instructions
+ * @param {Array<Object>} instructions - Instruction tree
+ * @returns {Array<Object>} Instructions in execution order
+ */
+export function flattenInstructions(instructions = []) {
+    const flat = [];
+
+    for (const instruction of instructions) {
+        flat.push(instruction);
+        flat.push(...flattenInstructions(instruction.innerInstructions));
+    }
+
+    return flat;
+}
@@ -10,6 +10,10 @@ export class Logger {
         }
     }
 
+    debug(message, ...args) {
+        this.log('debug', message, ...args);
+    }
+
     info(message, ...args) {
         this.log('info', message, ...args);
     }
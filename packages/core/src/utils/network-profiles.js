@@ -0,0 +1,111 @@
+/**
+ * Network Profiles
+ * Endpoint sets for each Solana cluster, so every service talks to the same one
+ */
+
+// A null endpoint means the cluster lacks that service (no Helius off mainnet/devnet, no prices)
+export const NETWORK_PROFILES = {
+    'mainnet-beta': {
+        heliusWsUrl: 'wss://atlas-mainnet.helius-rpc.com/ws',
+        heliusRpcUrl: 'https://mainnet.helius-rpc.com/',
+        heliusApiUrl: 'https://api.helius.dev/v0',
+        standardWsUrl: 'wss://api.mainnet-beta.solana.com',
+        standardRpcUrl: 'https://api.mainnet-beta.solana.com',
+        birdeyeApiUrl: 'https://public-api.birdeye.so'
+    },
+    devnet: {
+        heliusWsUrl: 'wss://atlas-devnet.helius-rpc.com/ws',
+        heliusRpcUrl: 'https://devnet.helius-rpc.com/',
+        heliusApiUrl: 'https://api-devnet.helius-rpc.com/v0',
+        standardWsUrl: 'wss://api.devnet.solana.com',
+        standardRpcUrl: 'https://api.devnet.solana.com',
+        birdeyeApiUrl: null
+    },
+    testnet: {
+        heliusWsUrl: null,
+        heliusRpcUrl: null,
+        heliusApiUrl: null,
+        standardWsUrl: 'wss://api.testnet.solana.com',
+        standardRpcUrl: 'https://api.testnet.solana.com',
+        birdeyeApiUrl: null
+    },
+    localnet: {
+        heliusWsUrl: null,
+        heliusRpcUrl: null,
+        heliusApiUrl: null,
+        standardWsUrl: 'ws://127.0.0.1:8900',
+        standardRpcUrl: 'http://127.0.0.1:8899',
+        birdeyeApiUrl: null
+    },
+    custom: {
+        heliusWsUrl: null,
+        heliusRpcUrl: null,
+        heliusApiUrl: null,
+        standardWsUrl: null,
+        standardRpcUrl: null,
+        birdeyeApiUrl: null
+    }
+};
+
+export const NETWORKS = Object.keys(NETWORK_PROFILES);
+
+export const DEFAULT_NETWORK = 'mainnet-beta';
+
+/**
+ * Resolve a network profile with endpoint overrides applied
+ * @param {string} network - Network name
+ * @param {Object} [overrides] - Endpoint URLs replacing the profile's
+ * @returns {Object} Network with `cluster` and every endpoint URL
+ */
+export function resolveNetwork(network = DEFAULT_NETWORK, overrides = {}) {
+    const profile = NETWORK_PROFILES[network];
+    if (!profile) {
+        throw new Error(`Unknown network: ${network}. Expected one of ${NETWORKS.join(', ')}`);
+    }
+
+    const endpoints = { ...profile };
+    for (const name of Object.keys(profile)) {
+        if (overrides[name] !== undefined) {
+            endpoints[name] = overrides[name];
+        }
+    }
+
+    if (!endpoints.heliusWsUrl && !endpoints.standardWsUrl) {
+        throw new Error(`Network ${network} needs a heliusWsUrl or standardWsUrl endpoint`);
+    }
+
+    return {
+        cluster: network,
+        ...endpoints
+    };
+}
+
+/**
+ * Pick the streaming provider a network supports
+ * @param {Object} network - Resolved network
+ * @param {string} [provider] - Requested provider
+ * @returns {string} 'helius' or 'standard'
+ */
+export function resolveProvider(network, provider) {
+    const selected = provider || (network.heliusWsUrl ? 'helius' : 'standard');
+
+    if (selected === 'helius' && !network.heliusWsUrl) {
+        throw new Error(`Helius is not available on ${network.cluster}`);
+    }
+    if (selected === 'standard' && !network.standardWsUrl) {
+        throw new Error(`No standard RPC WebSocket configured for ${network.cluster}`);
+    }
+
+    return selected;
+}
+
+/**
+ * Append an API key to a Helius endpoint
+ * @param {string} url - Endpoint URL
+ * @param {string} apiKey - API key
+ * @returns {string} URL with the api-key query parameter
+ */
+export function withApiKey(url, apiKey) {
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}api-key=${apiKey}`;
+}
@@ -1,15 +1,33 @@
 /**
- * Number formatting utilities for displaying amounts and prices
+ * Number formatting utilities for displaying amounts and prices.
+ * Amounts arrive as numbers, exact decimal strings or BigInts; this is the
+ * only place they become floats.
  */
 
+/**
+ * Convert an amount to a float for display
+ * @param {number|string|bigint} value - Amount
+ * @returns {number} Float, NaN when the value is not an amount
+ */
+function toDisplayNumber(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value === 'bigint' || (typeof value === 'string' && value.trim() !== '')) {
+        return Number(value);
+    }
+    return NaN;
+}
+
 /**
  * Format number with proper decimal places
- * @param {number} num - Number to format
+ * @param {number|string|bigint} value - Number to format
  * @param {number} decimals - Number of decimal places
  * @returns {string} Formatted number
  */
-export function formatNumber(num, decimals = 2) {
-    if (typeof num !== 'number' || isNaN(num)) {
+export function formatNumber(value, decimals = 2) {
+    const num = toDisplayNumber(value);
+    if (isNaN(num)) {
         return '0';
     }
     return num.toLocaleString(undefined, {
@@ -20,11 +38,12 @@ export function formatNumber(num, decimals = 2) {
 
 /**
  * Format currency amount with USD symbol
- * @param {number} amount - Amount to format
+ * @param {number|string|bigint} value - Amount to format
  * @returns {string} Formatted currency
  */
-export function formatCurrency(amount) {
-    if (typeof amount !== 'number' || isNaN(amount)) {
+export function formatCurrency(value) {
+    const amount = toDisplayNumber(value);
+    if (isNaN(amount)) {
         return '$0.00';
     }
     return new Intl.NumberFormat('en-US', {
@@ -35,11 +54,12 @@ export function formatCurrency(amount) {
 
 /**
  * Format large numbers with K, M, B suffixes
- * @param {number} num - Number to format
+ * @param {number|string|bigint} value - Number to format
  * @returns {string} Formatted number with suffix
  */
-export function formatLargeNumber(num) {
-    if (typeof num !== 'number' || isNaN(num)) {
+export function formatLargeNumber(value) {
+    const num = toDisplayNumber(value);
+    if (isNaN(num)) {
         return '0';
     }
     
@@ -79,11 +99,12 @@ export function formatPercentage(percent) {
 
 /**
  * Format SOL amount with proper decimal places
- * @param {number} lamports - Amount in lamports
+ * @param {number|string|bigint} value - Amount in lamports
  * @returns {string} Formatted SOL amount
  */
-export function formatSOL(lamports) {
-    if (typeof lamports !== 'number' || isNaN(lamports)) {
+export function formatSOL(value) {
+    const lamports = toDisplayNumber(value);
+    if (isNaN(lamports)) {
         return '0 SOL';
     }
     const sol = lamports / 1e9;
@@ -92,13 +113,14 @@ export function formatSOL(lamports) {
 
 /**
  * Format token amount with symbol
- * @param {number} amount - Token amount
+ * @param {number|string|bigint} value - Token amount in UI units
  * @param {string} symbol - Token symbol
  * @param {number} decimals - Token decimals
  * @returns {string} Formatted token amount
  */
-export function formatTokenAmount(amount, symbol = 'TOKEN', decimals = 2) {
-    if (typeof amount !== 'number' || isNaN(amount)) {
+export function formatTokenAmount(value, symbol = 'TOKEN', decimals = 2) {
+    const amount = toDisplayNumber(value);
+    if (isNaN(amount)) {
         return `0 ${symbol}`;
     }
     return formatNumber(amount, decimals) + ` ${symbol}`;
@@ -106,7 +128,7 @@ export function formatTokenAmount(amount, symbol = 'TOKEN', decimals = 2) {
 
 /**
  * Format market cap with appropriate suffix
- * @param {number} marketCap - Market cap value
+ * @param {number|string|bigint} marketCap - Market cap value
  * @returns {string} Formatted market cap
  */
 export function formatMarketCap(marketCap) {
@@ -116,7 +138,7 @@ export function formatMarketCap(marketCap) {
 
 /**
  * Format volume with appropriate suffix
- * @param {number} volume - Volume value
+ * @param {number|string|bigint} volume - Volume value
  * @returns {string} Formatted volume
  */
 export function formatVolume(volume) {
@@ -126,12 +148,13 @@ export function formatVolume(volume) {
 
 /**
  * Round number to specific precision
- * @param {number} num - Number to round
+ * @param {number|string|bigint} value - Number to round
  * @param {number} precision - Decimal precision
  * @returns {number} Rounded number
  */
-export function roundToPrecision(num, precision = 2) {
-    if (typeof num !== 'number' || isNaN(num)) {
+export function roundToPrecision(value, precision = 2) {
+    const num = toDisplayNumber(value);
+    if (isNaN(num)) {
         return 0;
     }
     const factor = Math.pow(10, precision);
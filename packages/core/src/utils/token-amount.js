@@ -0,0 +1,166 @@
+/**
+ * Token Amount Utilities
+ * Exact arithmetic on token amounts. Raw amounts are integers in base units
+ * (BigInt, or integer strings once they sit on a transaction); UI amounts are
+ * decimal strings. Floats only appear when number-formatter.js displays them.
+ */
+
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Split a decimal into an integer and a power-of-ten scale
+ * @param {string|number|bigint} value - Decimal string, number or BigInt
+ * @returns {{ units: bigint, scale: number }} value = units / 10^scale
+ */
+function parseDecimal(value) {
+    if (typeof value === 'bigint') {
+        return { units: value, scale: 0 };
+    }
+
+    const match = DECIMAL_PATTERN.exec(String(value).trim());
+    if (!match || (!match[2] && !match[3])) {
+        throw new Error(`Invalid amount: ${value}`);
+    }
+
+    // Numbers stringify small and large values in exponent notation
+    const [, sign, whole, fraction = '', exponent = '0'] = match;
+    let units = BigInt(`${whole}${fraction}` || '0');
+    let scale = fraction.length - Number(exponent);
+
+    if (scale < 0) {
+        units *= 10n ** BigInt(-scale);
+        scale = 0;
+    }
+
+    return { units: sign === '-' ? -units : units, scale };
+}
+
+/**
+ * Move units to a different scale, truncating digits that no longer fit
+ * @param {{ units: bigint, scale: number }} decimal - Parsed decimal
+ * @param {number} target - Target scale
+ * @returns {bigint} Units at the target scale
+ */
+function rescale({ units, scale }, target) {
+    if (target >= scale) {
+        return units * 10n ** BigInt(target - scale);
+    }
+    return units / 10n ** BigInt(scale - target);
+}
+
+/**
+ * Bring two amounts to a common scale
+ * @param {string|number|bigint} a - First amount
+ * @param {string|number|bigint} b - Second amount
+ * @returns {{ left: bigint, right: bigint, scale: number }} Units at the common scale
+ */
+function align(a, b) {
+    const left = parseDecimal(a);
+    const right = parseDecimal(b);
+    const scale = Math.max(left.scale, right.scale);
+
+    return { left: rescale(left, scale), right: rescale(right, scale), scale };
+}
+
+/**
+ * Format a raw amount as an exact UI amount
+ * @param {bigint|string|number} raw - Integer amount in base units
+ * @param {number} decimals - Mint decimals
+ * @returns {string} Decimal string without trailing zeros, e.g. '-1.5'
+ */
+export function formatUnits(raw, decimals = 0) {
+    const units = BigInt(raw);
+    const negative = units < 0n;
+    const digits = (negative ? -units : units).toString().padStart(decimals + 1, '0');
+
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Parse a UI amount into a raw amount, truncating digits beyond the mint's decimals
+ * @param {string|number|bigint} value - UI amount
+ * @param {number} decimals - Mint decimals
+ * @returns {bigint} Integer amount in base units
+ */
+export function parseUnits(value, decimals = 0) {
+    return rescale(parseDecimal(value), decimals);
+}
+
+/**
+ * Compare two amounts exactly
+ * @param {string|number|bigint} a - First amount
+ * @param {string|number|bigint} b - Second amount
+ * @returns {number} -1, 0 or 1
+ */
+export function compareAmounts(a, b) {
+    const { left, right } = align(a, b);
+    return left === right ? 0 : left > right ? 1 : -1;
+}
+
+/**
+ * Add two amounts exactly
+ * @param {string|number|bigint} a - First amount
+ * @param {string|number|bigint} b - Second amount
+ * @returns {string} Decimal string
+ */
+export function addAmounts(a, b) {
+    const { left, right, scale } = align(a, b);
+    return formatUnits(left + right, scale);
+}
+
+/**
+ * Subtract one amount from another exactly
+ * @param {string|number|bigint} a - Minuend
+ * @param {string|number|bigint} b - Subtrahend
+ * @returns {string} Decimal string
+ */
+export function subtractAmounts(a, b) {
+    const { left, right, scale } = align(a, b);
+    return formatUnits(left - right, scale);
+}
+
+/**
+ * Get the absolute value of an amount
+ * @param {string|number|bigint} value - Amount
+ * @returns {string} Decimal string
+ */
+export function absAmount(value) {
+    const { units, scale } = parseDecimal(value);
+    return formatUnits(units < 0n ? -units : units, scale);
+}
+
+/**
+ * Multiply two amounts exactly, e.g. a token amount by a USD price
+ * @param {string|number|bigint} a - First factor
+ * @param {string|number|bigint} b - Second factor
+ * @returns {string} Decimal string
+ */
+export function multiplyAmounts(a, b) {
+    const left = parseDecimal(a);
+    const right = parseDecimal(b);
+    return formatUnits(left.units * right.units, left.scale + right.scale);
+}
+
+/**
+ * Divide two amounts, truncating the quotient
+ * @param {string|number|bigint} a - Dividend
+ * @param {string|number|bigint} b - Divisor, not zero
+ * @param {number} precision - Fractional digits to keep
+ * @returns {string} Decimal string
+ */
+export function divideAmounts(a, b, precision = 18) {
+    const dividend = parseDecimal(a);
+    const divisor = parseDecimal(b);
+    if (divisor.units === 0n) {
+        throw new RangeError('Division by zero amount');
+    }
+
+    // a / b = (ua / 10^sa) / (ub / 10^sb), carried at 10^precision
+    const numerator = dividend.units * 10n ** BigInt(divisor.scale + precision);
+    const denominator = divisor.units * 10n ** BigInt(dividend.scale);
+
+    return formatUnits(numerator / denominator, precision);
+}
@@ -0,0 +1,56 @@
+import {
+    formatUnits,
+    parseUnits,
+    compareAmounts,
+    addAmounts,
+    subtractAmounts,
+    absAmount,
+    multiplyAmounts,
+    divideAmounts
+} from './token-amount.js';
+
+describe('token amounts', () => {
+    test('formats raw amounts without losing precision', () => {
+        expect(formatUnits('123456789012345678901', 9)).toBe('123456789012.345678901');
+        expect(formatUnits(-1500000000n, 9)).toBe('-1.5');
+        expect(formatUnits(5, 9)).toBe('0.000000005');
+        expect(formatUnits(0, 6)).toBe('0');
+    });
+
+    test('parses UI amounts to base units, truncating extra digits', () => {
+        expect(parseUnits('1.5', 9)).toBe(1500000000n);
+        expect(parseUnits('0.1234567', 6)).toBe(123456n);
+        expect(parseUnits('1e-9', 9)).toBe(1n);
+        expect(parseUnits(2, 0)).toBe(2n);
+    });
+
+    test('compares decimals of any scale exactly', () => {
+        expect(compareAmounts('0.1', 0.1)).toBe(0);
+        expect(compareAmounts('9007199254740993', '9007199254740992')).toBe(1);
+        expect(compareAmounts('-0.000001', '0')).toBe(-1);
+        expect(compareAmounts('100.00', 100)).toBe(0);
+    });
+
+    test('adds and subtracts without float error', () => {
+        expect(addAmounts('0.1', '0.2')).toBe('0.3');
+        expect(subtractAmounts('1', '0.000000001')).toBe('0.999999999');
+        expect(addAmounts('-5', '2.5')).toBe('-2.5');
+    });
+
+    test('takes the absolute value', () => {
+        expect(absAmount('-12.5')).toBe('12.5');
+        expect(absAmount('3')).toBe('3');
+    });
+
+    test('multiplies and divides exactly', () => {
+        expect(multiplyAmounts('1234.5', '0.0002')).toBe('0.2469');
+        expect(multiplyAmounts('10', 0)).toBe('0');
+        expect(divideAmounts('1', '3', 6)).toBe('0.333333');
+        expect(divideAmounts('-7.5', '2.5')).toBe('-3');
+    });
+
+    test('rejects malformed amounts and division by zero', () => {
+        expect(() => compareAmounts('abc', '1')).toThrow('Invalid amount: abc');
+        expect(() => divideAmounts('1', '0')).toThrow(RangeError);
+    });
+});
@@ -0,0 +1,9 @@
+/**
+ * Well-known token mints
+ */
+
+// Wrapped SOL; native SOL movements are reported under this mint too
+export const NATIVE_MINT = 'So11111111111111111111111111111111111111112';
+
+export const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+export const USDT_MINT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB';
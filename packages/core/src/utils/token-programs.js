@@ -0,0 +1,8 @@
+/**
+ * SPL token program IDs
+ */
+
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+
+// Token-2022: mints and accounts can carry extensions such as transfer fees
+export const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VvEd2jyTkRiD8TATo3bnq2kY7Hpb';
@@ -1,5 +1,7 @@
 // Validate user input functions
 
+import { TRANSACTION_TYPES, TRANSACTION_TAGS } from '../services/transaction-classifier.js';
+
 /**
  * Validate that input is a valid Solana wallet address
  * @param {string} address - Wallet address to validate
@@ -45,8 +47,10 @@ export function validateTransactionAmount(amount) {
  * @returns {boolean} Whether the type is valid
  */
 export function validateTransactionType(type) {
-    const validTypes = ['transfer', 'swap', 'stake', 'mint'];
-    return validTypes.includes(type.toLowerCase());
+    // A primary type, a tag, or a tag's category such as 'transfer', as matchesType takes them
+    const value = type.toLowerCase();
+    return TRANSACTION_TYPES.includes(value) ||
+        TRANSACTION_TAGS.some(tag => tag === value || tag.startsWith(`${value}.`));
 }
 
 /**
@@ -0,0 +1,23 @@
+import { validateTransactionType } from './validators.js';
+import { TRANSACTION_TYPES, TRANSACTION_TAGS } from '../services/transaction-classifier.js';
+
+describe('validateTransactionType', () => {
+    test('accepts every primary type and tag of the classifier', () => {
+        [...TRANSACTION_TYPES, ...TRANSACTION_TAGS].forEach(type => {
+            expect(validateTransactionType(type)).toBe(true);
+        });
+        expect(validateTransactionType('unknown')).toBe(true);
+        expect(validateTransactionType('token.burn')).toBe(true);
+    });
+
+    test('accepts tag categories, as matchesType does', () => {
+        expect(validateTransactionType('token')).toBe(true);
+        expect(validateTransactionType('Transfer')).toBe(true);
+    });
+
+    test('rejects types the classifier never gives', () => {
+        expect(validateTransactionType('airdrop')).toBe(false);
+        expect(validateTransactionType('token.steal')).toBe(false);
+        expect(validateTransactionType('transfer.sideways')).toBe(false);
+    });
+});
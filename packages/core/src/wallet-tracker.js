@@ -6,8 +6,57 @@
 import { WebSocketBackend } from './services/websocket-backend.js';
 import { TransactionFilter } from './filters/transaction-filter.js';
 import { TokenDataService } from './services/token-data-service.js';
+import { RpcService } from './services/rpc-service.js';
+import { BackfillService } from './services/backfill-service.js';
+import { TransactionDeduplicator } from './services/transaction-deduplicator.js';
+import { TransactionNormalizer } from './services/transaction-normalizer.js';
+import { InstructionDecoder } from './services/instruction-decoder.js';
+import { TransactionClassifier, matchesType } from './services/transaction-classifier.js';
+import { FeeStats } from './services/fee-stats.js';
+import { SpamDetector } from './services/spam-detector.js';
+import { CommitmentTracker, COMMITMENT_LEVELS } from './services/commitment-tracker.js';
 import { EventEmitter } from './utils/event-emitter.js';
 import { Logger } from './utils/logger.js';
+import { resolveNetwork, resolveProvider, DEFAULT_NETWORK } from './utils/network-profiles.js';
+import { absAmount, compareAmounts, multiplyAmounts } from './utils/token-amount.js';
+
+// Optional backend settings, forwarded only when set so the backend keeps its own defaults
+const STREAM_OPTIONS = [
+    'maxWalletsPerSocket',
+    'fallbackToStandard',
+    'createWebSocket',
+    'livenessTimeout',
+    'subscriptionBatchSize',
+    'subscriptionBatchDelay'
+];
+
+// Tracker options forwarded to the transaction filter, by their name there
+const FILTER_OPTIONS = {
+    minAmount: 'minAmount',
+    maxAge: 'maxAge',
+    includeTypes: 'includeTypes',
+    excludeTypes: 'excludeTypes',
+    filterRules: 'rules',
+    walletLabels: 'walletLabels',
+    filterPresets: 'presets',
+    hideSpam: 'hideSpam',
+    spamThreshold: 'spamThreshold',
+    minUsdValue: 'minUsdValue',
+    maxUsdValue: 'maxUsdValue',
+    minMarketCap: 'minMarketCap',
+    maxMarketCap: 'maxMarketCap',
+    minLiquidity: 'minLiquidity',
+    maxLiquidity: 'maxLiquidity',
+    minVolume24h: 'minVolume24h',
+    maxVolume24h: 'maxVolume24h',
+    minTokenAge: 'minTokenAge',
+    maxTokenAge: 'maxTokenAge',
+    passUnknownValues: 'passUnknownValues',
+    enrichedFilterRules: 'enrichedRules'
+};
+
+// Options that select the cluster or its endpoints
+const NETWORK_OPTIONS = ['network', 'endpoints', 'provider', 'standardWsUrl', 'standardRpcUrl'];
 
 export class WalletTracker extends EventEmitter {
     constructor(options = {}) {
@@ -18,21 +67,88 @@ export class WalletTracker extends EventEmitter {
             enableLogging: options.enableLogging || false,
             maxTransactions: options.maxTransactions || 100,
             reconnectAttempts: options.reconnectAttempts || 5,
+            enableBackfill: options.enableBackfill !== false,
+            maxBackfillTransactions: options.maxBackfillTransactions || 200,
+            dedupWindow: options.dedupWindow || 10 * 60 * 1000, // 10 minutes
+            commitment: options.commitment || 'confirmed',
+            trackCommitmentLifecycle: options.trackCommitmentLifecycle || false,
+            commitmentDropTimeout: options.commitmentDropTimeout || 90000, // 90 seconds
+            emitFilteredTransactions: options.emitFilteredTransactions || false,
+            detectSpam: options.detectSpam !== false,
+            network: options.network || DEFAULT_NETWORK,
+            endpoints: options.endpoints || {},
             ...options
         };
 
+        this.validateCommitment(this.options.commitment);
+        this.network = this.resolveNetwork(this.options);
+
+        const streamOptions = {};
+        for (const name of STREAM_OPTIONS) {
+            if (this.options[name] !== undefined) {
+                streamOptions[name] = this.options[name];
+            }
+        }
+
         // Initialize services
+        this.instructionDecoder = new InstructionDecoder();
+
         this.websocketBackend = new WebSocketBackend({
             apiKeys: this.options.apiKeys,
-            reconnectAttempts: this.options.reconnectAttempts
+            instructionDecoder: this.instructionDecoder,
+            reconnectAttempts: this.options.reconnectAttempts,
+            commitment: this.getSubscriptionCommitment(),
+            ...this.getStreamEndpoints(),
+            ...streamOptions
         });
 
         this.transactionFilter = new TransactionFilter({
-            enableFiltering: this.options.enableFiltering !== false
+            enableFiltering: this.options.enableFiltering !== false,
+            ...this.getFilterOptions(this.options)
         });
 
         this.tokenDataService = new TokenDataService({
-            cacheTimeout: this.options.tokenCacheTimeout || 300000 // 5 minutes
+            cacheTimeout: this.options.tokenCacheTimeout || 300000, // 5 minutes
+            birdeyeApiUrl: this.network.birdeyeApiUrl
+        });
+
+        this.rpcService = new RpcService({
+            apiKeys: this.options.apiKeys,
+            ...this.getQueryEndpoints(),
+            commitment: this.getQueryCommitment()
+        });
+
+        this.backfillService = new BackfillService({
+            rpcService: this.rpcService,
+            maxTransactions: this.options.maxBackfillTransactions
+        });
+
+        // Left out when unset so the deduplicator keeps its default merge window
+        const dedupOptions = { ttl: this.options.dedupWindow };
+        if (this.options.dedupMergeWindow !== undefined) {
+            dedupOptions.mergeWindow = this.options.dedupMergeWindow;
+        }
+        this.deduplicator = new TransactionDeduplicator(dedupOptions);
+
+        // Program and mint watches report per watched address, so they deduplicate apart
+        this.watchDeduplicator = new TransactionDeduplicator({
+            ttl: this.options.dedupWindow,
+            mergeWindow: 0,
+            getKey: transaction => `${transaction.signature}:${transaction.trackedWallet}`
+        });
+
+        this.normalizer = new TransactionNormalizer();
+        this.classifier = new TransactionClassifier();
+        this.feeStats = new FeeStats();
+
+        this.spamDetector = new SpamDetector({
+            tokenDataService: this.tokenDataService,
+            ...this.options.spamOptions // dustLamports, lookalikeLength, weights, ...
+        });
+
+        this.commitmentTracker = new CommitmentTracker({
+            rpcService: this.rpcService,
+            dropTimeout: this.options.commitmentDropTimeout
         });
 
         this.logger = new Logger({
@@ -42,8 +158,11 @@ export class WalletTracker extends EventEmitter {
 
         // State
         this.trackedWallets = new Set();
+        this.trackedPrograms = new Map(); // program ID -> { minSolAmount }
+        this.tokenWatches = new Map(); // mint -> { minAmount }
         this.transactions = [];
         this.isConnected = false;
+        this.backfillingWallets = new Set();
 
         // Bind event handlers
         this.setupEventHandlers();
@@ -66,10 +185,56 @@ export class WalletTracker extends EventEmitter {
             this.emit('disconnected');
         });
 
-        this.websocketBackend.on('transaction', async (transaction) => {
+        this.websocketBackend.on('reconnected', ({ walletAddresses, disconnectedAt }) => {
+            if (this.options.enableBackfill) {
+                this.backfillMissedTransactions(walletAddresses, disconnectedAt);
+            }
+        });
+
+        this.websocketBackend.on('transaction', (transaction) => {
+            const address = transaction.trackedWallet;
+
+            if (this.trackedWallets.has(address)) {
+                this.backfillService.recordSeen(address, transaction.signature, transaction.slot);
+                this.deduplicator.add(transaction);
+            }
+
+            if (this.trackedPrograms.has(address) || this.tokenWatches.has(address)) {
+                this.watchDeduplicator.add({ ...transaction });
+            }
+        });
+
+        // One event per signature, however many wallets or sockets delivered it
+        this.deduplicator.on('transaction', async (transaction) => {
             await this.handleTransaction(transaction);
         });
 
+        this.watchDeduplicator.on('transaction', async (transaction) => {
+            await this.handleWatchActivity(transaction);
+        });
+
+        // Commitment lifecycle events for transactions emitted before finalization
+        this.commitmentTracker.on('confirmed', (transaction) => {
+            transaction.commitment = 'confirmed';
+            this.emit('transactionConfirmed', transaction);
+        });
+
+        this.commitmentTracker.on('finalized', (transaction) => {
+            transaction.commitment = 'finalized';
+            this.emit('transactionFinalized', transaction);
+        });
+
+        this.commitmentTracker.on('dropped', (transaction, reason) => {
+            transaction.commitment = 'dropped';
+            this.transactions = this.transactions.filter(tx => tx !== transaction);
+            this.emit('transactionDropped', transaction, reason);
+        });
+
+        this.websocketBackend.on('providerChanged', ({ provider, fallback }) => {
+            this.logger.warn(`Streaming through ${provider} WebSocket`);
+            this.emit('providerChanged', { provider, fallback });
+        });
+
         this.websocketBackend.on('error', (error) => {
             this.logger.error('WebSocket error:', error);
             this.emit('error', error);
@@ -79,14 +244,22 @@ export class WalletTracker extends EventEmitter {
     /**
      * Add a wallet address to track
      * @param {string} walletAddress - Solana wallet address to track
+     * @param {Object} [options] - Wallet options
+     * @param {Object|string} [options.filterProfile] - Filter options that override the
+     *   global ones for this wallet, or a preset name ('whale', 'sniper', ...)
      * @returns {Promise<boolean>} - Success status
      */
-    async addWallet(walletAddress) {
+    async addWallet(walletAddress, options = {}) {
         try {
             if (!this.validateWalletAddress(walletAddress)) {
                 throw new Error('Invalid wallet address format');
             }
 
+            // Set before subscribing so the first transaction already uses it
+            if (options.filterProfile) {
+                this.transactionFilter.setWalletProfile(walletAddress, options.filterProfile);
+            }
+
             if (this.trackedWallets.has(walletAddress)) {
                 this.logger.warn(`Wallet ${walletAddress} is already being tracked`);
                 return true;
@@ -119,7 +292,11 @@ export class WalletTracker extends EventEmitter {
             }
 
             this.trackedWallets.delete(walletAddress);
-            await this.websocketBackend.unsubscribeFromWallet(walletAddress);
+            this.backfillService.forgetWallet(walletAddress);
+            this.feeStats.removeWallet(walletAddress);
+            this.transactionFilter.forgetWallet(walletAddress);
+            this.spamDetector.forgetWallet(walletAddress);
+            await this.releaseAddress(walletAddress);
             
             this.logger.info(`Stopped tracking wallet: ${walletAddress}`);
             this.emit('walletRemoved', walletAddress);
@@ -132,26 +309,297 @@ export class WalletTracker extends EventEmitter {
         }
     }
 
+    /**
+     * Change the filter profile of a tracked wallet
+     * @param {string} walletAddress - Tracked wallet address
+     * @param {Object|string|null} profile - Filter options or a preset name; null puts
+     *   the wallet back on the global options
+     */
+    setWalletFilterProfile(walletAddress, profile) {
+        if (!this.trackedWallets.has(walletAddress)) {
+            throw new Error(`Wallet ${walletAddress} is not being tracked`);
+        }
+
+        if (profile) {
+            this.transactionFilter.setWalletProfile(walletAddress, profile);
+        } else {
+            this.transactionFilter.removeWalletProfile(walletAddress);
+        }
+    }
+
+    /**
+     * Watch every transaction that touches a program, e.g. a launchpad
+     * @param {string} programId - Program ID
+     * @param {Object} [options] - Watch options
+     * @param {number} [options.minSolAmount] - Smallest SOL balance change worth reporting
+     * @returns {Promise<boolean>} - Success status
+     */
+    async addProgram(programId, options = {}) {
+        try {
+            if (!this.validateWalletAddress(programId)) {
+                throw new Error('Invalid program ID format');
+            }
+
+            const isNew = !this.trackedPrograms.has(programId);
+            this.trackedPrograms.set(programId, {
+                minSolAmount: options.minSolAmount || 0
+            });
+
+            if (isNew) {
+                await this.websocketBackend.subscribeToWallet(programId);
+                this.logger.info(`Started watching program: ${programId}`);
+                this.emit('programAdded', programId);
+            }
+
+            return true;
+        } catch (error) {
+            this.logger.error(`Failed to add program ${programId}:`, error);
+            this.emit('error', error);
+            return false;
+        }
+    }
+
+    /**
+     * Stop watching a program
+     * @param {string} programId - Program ID
+     * @returns {Promise<boolean>} - Success status
+     */
+    async removeProgram(programId) {
+        try {
+            if (!this.trackedPrograms.delete(programId)) {
+                this.logger.warn(`Program ${programId} is not being watched`);
+                return true;
+            }
+
+            await this.releaseAddress(programId);
+
+            this.logger.info(`Stopped watching program: ${programId}`);
+            this.emit('programRemoved', programId);
+
+            return true;
+        } catch (error) {
+            this.logger.error(`Failed to remove program ${programId}:`, error);
+            this.emit('error', error);
+            return false;
+        }
+    }
+
+    /**
+     * Watch trades of a token. Only transactions that reference the mint
+     * account are delivered, which covers swaps and checked transfers.
+     * @param {string} mint - Token mint address
+     * @param {Object} [options] - Watch options
+     * @param {number|string} [options.minAmount] - Smallest token amount (UI units) worth reporting
+     * @returns {Promise<boolean>} - Success status
+     */
+    async addTokenWatch(mint, options = {}) {
+        try {
+            if (!this.validateWalletAddress(mint)) {
+                throw new Error('Invalid token mint format');
+            }
+
+            const isNew = !this.tokenWatches.has(mint);
+            this.tokenWatches.set(mint, {
+                minAmount: options.minAmount || 0
+            });
+
+            if (isNew) {
+                await this.websocketBackend.subscribeToWallet(mint);
+                this.logger.info(`Started watching token: ${mint}`);
+                this.emit('tokenWatchAdded', mint);
+            }
+
+            return true;
+        } catch (error) {
+            this.logger.error(`Failed to add token watch ${mint}:`, error);
+            this.emit('error', error);
+            return false;
+        }
+    }
+
+    /**
+     * Stop watching a token
+     * @param {string} mint - Token mint address
+     * @returns {Promise<boolean>} - Success status
+     */
+    async removeTokenWatch(mint) {
+        try {
+            if (!this.tokenWatches.delete(mint)) {
+                this.logger.warn(`Token ${mint} is not being watched`);
+                return true;
+            }
+
+            await this.releaseAddress(mint);
+
+            this.logger.info(`Stopped watching token: ${mint}`);
+            this.emit('tokenWatchRemoved', mint);
+
+            return true;
+        } catch (error) {
+            this.logger.error(`Failed to remove token watch ${mint}:`, error);
+            this.emit('error', error);
+            return false;
+        }
+    }
+
+    /**
+     * Decode a program's instructions and let its transactions through the program filter
+     * @param {string} programId - Program ID
+     * @param {Function} decoder - (instruction, data) => { protocol, action, name, accounts }
+     *   or null; data is the instruction data as a Uint8Array
+     */
+    registerDecoder(programId, decoder) {
+        this.instructionDecoder.registerDecoder(programId, decoder);
+        this.transactionFilter.addToWhitelist(programId);
+    }
+
+    /**
+     * Check whether an address is still watched as a wallet, program or mint
+     * @param {string} address - Account address
+     * @returns {boolean} Is watched
+     */
+    isAddressWatched(address) {
+        return this.trackedWallets.has(address) ||
+            this.trackedPrograms.has(address) ||
+            this.tokenWatches.has(address);
+    }
+
+    /**
+     * Drop the stream subscription of an address nothing watches any more
+     * @param {string} address - Account address
+     * @returns {Promise<void>}
+     */
+    async releaseAddress(address) {
+        if (!this.isAddressWatched(address)) {
+            await this.websocketBackend.unsubscribeFromWallet(address);
+        }
+    }
+
+    /**
+     * Report program and token activity delivered by a watched address
+     * @param {Object} transaction - Transaction; trackedWallet is the watched address
+     * @returns {Promise<void>}
+     */
+    async handleWatchActivity(transaction) {
+        const address = transaction.trackedWallet;
+
+        try {
+            const program = this.trackedPrograms.get(address);
+            if (program && this.getLargestSolChange(transaction) >= program.minSolAmount) {
+                this.emit('programActivity', { programId: address, transaction });
+            }
+
+            const tokenWatch = this.tokenWatches.get(address);
+            if (tokenWatch) {
+                await this.reportTokenTrade(address, tokenWatch, transaction);
+            }
+        } catch (error) {
+            this.logger.error('Error handling watch activity:', error);
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * Emit a tokenTrade event for the transfers of a watched mint
+     * @param {string} mint - Token mint address
+     * @param {Object} tokenWatch - Watch options
+     * @param {Object} transaction - Transaction
+     * @returns {Promise<void>}
+     */
+    async reportTokenTrade(mint, tokenWatch, transaction) {
+        const transfers = (transaction.tokenTransfers || [])
+            .filter(transfer =>
+                transfer.mint === mint &&
+                compareAmounts(absAmount(transfer.uiChange), tokenWatch.minAmount) >= 0
+            )
+            .map(transfer => ({
+                ...transfer,
+                direction: BigInt(transfer.change) > 0n ? 'in' : 'out'
+            }));
+
+        if (transfers.length === 0) {
+            return;
+        }
+
+        const token = await this.tokenDataService.getTokenData(mint);
+        this.emit('tokenTrade', { mint, transaction, transfers, token });
+    }
+
+    /**
+     * Get the largest SOL balance change of any account in a transaction
+     * @param {Object} transaction - Transaction
+     * @returns {number} SOL amount
+     */
+    getLargestSolChange(transaction) {
+        return (transaction.balanceChanges || []).reduce((largest, change) =>
+            Math.max(largest, Math.abs(change.change) / 1e9), 0
+        );
+    }
+
     /**
      * Handle incoming transaction data
      * @param {Object} transaction - Raw transaction data
      */
     async handleTransaction(transaction) {
         try {
-            // Apply filters
-            if (!this.transactionFilter.shouldInclude(transaction)) {
-                this.logger.debug('Transaction filtered out');
+            // Fill walletAddress, tokenMint, amount and direction for enrichment and queries
+            this.normalizer.normalize(transaction, this.trackedWallets);
+            this.classifier.classify(transaction);
+
+            // Fees count whether or not the filters keep the transaction
+            this.recordFees(transaction);
+
+            // Score before filtering so hideSpam and filter rules can use spamScore
+            if (this.options.detectSpam) {
+                this.spamDetector.score(transaction);
+            }
+
+            // Apply the cheap filters first so dropped transactions cost no Birdeye call
+            const decision = this.transactionFilter.evaluate(transaction);
+            if (!decision.include) {
+                this.reportFiltered(transaction, decision);
                 return;
             }
 
             // Enrich with token data
             const enrichedTransaction = await this.enrichTransaction(transaction);
+
+            // Score again now that the received tokens' data is cached, so a first
+            // airdrop of a worthless token is caught
+            if (this.options.detectSpam) {
+                this.spamDetector.score(enrichedTransaction);
+            }
+
+            // Apply the filters on USD value and token data
+            const enrichedDecision = this.transactionFilter.evaluate(
+                enrichedTransaction,
+                'enriched'
+            );
+            if (!enrichedDecision.include) {
+                this.reportFiltered(enrichedTransaction, enrichedDecision);
+                return;
+            }
             
             // Add to transaction history
             this.addTransaction(enrichedTransaction);
             
             // Emit event
             this.emit('transaction', enrichedTransaction);
+
+            // One swap per wallet that traded, e.g. two tracked wallets in the same fill
+            for (const wallet of enrichedTransaction.wallets) {
+                if (wallet.swap) {
+                    this.emit('swap', {
+                        walletAddress: wallet.walletAddress,
+                        swap: wallet.swap,
+                        transaction: enrichedTransaction
+                    });
+                }
+            }
+
+            if (this.options.trackCommitmentLifecycle) {
+                this.commitmentTracker.track(enrichedTransaction);
+            }
             
         } catch (error) {
             this.logger.error('Error handling transaction:', error);
@@ -159,6 +607,88 @@ export class WalletTracker extends EventEmitter {
         }
     }
 
+    /**
+     * Log a transaction the filter dropped and emit it when asked to
+     * @param {Object} transaction - Dropped transaction
+     * @param {Object} decision - FilterDecision
+     */
+    reportFiltered(transaction, decision) {
+        this.logger.debug(`Transaction ${transaction.signature} filtered out by the ` +
+            `${decision.reason} filter: ${decision.message}`);
+
+        if (this.options.emitFilteredTransactions) {
+            this.emit('transactionFiltered', { transaction, decision });
+        }
+    }
+
+    /**
+     * Add a transaction's fees to its fee payer's aggregates when the payer is tracked
+     * @param {Object} transaction - Processed transaction
+     */
+    recordFees(transaction) {
+        const feePayer = (transaction.accounts || [])[0];
+        const address = feePayer && (feePayer.pubkey || feePayer);
+
+        if (transaction.fees && this.trackedWallets.has(address)) {
+            this.feeStats.record(address, transaction.fees);
+        }
+    }
+
+    /**
+     * Replay transactions missed during a disconnect through the normal pipeline
+     * @param {Array<string>} walletAddresses - Wallets whose socket was down
+     * @param {number|null} since - When the socket went down (ms)
+     * @returns {Promise<void>}
+     */
+    async backfillMissedTransactions(walletAddresses, since) {
+        for (const walletAddress of walletAddresses) {
+            // Another socket's reconnect may already be catching this wallet up
+            const isTracked = this.trackedWallets.has(walletAddress);
+            if (!isTracked || this.backfillingWallets.has(walletAddress)) {
+                continue;
+            }
+
+            this.backfillingWallets.add(walletAddress);
+
+            try {
+                const missed = await this.backfillService.fetchMissedTransactions(walletAddress, {
+                    since,
+                    skip: signature => this.deduplicator.hasSeen(signature)
+                });
+
+                for (const rawData of missed) {
+                    // Stop replaying once the wallet is no longer tracked
+                    if (!this.trackedWallets.has(walletAddress)) {
+                        break;
+                    }
+
+                    await this.websocketBackend.resolveTransaction(rawData);
+                    const transaction = this.websocketBackend.processTransactionData(rawData);
+                    transaction.trackedWallet = walletAddress;
+                    transaction.commitment = this.getQueryCommitment();
+                    transaction.backfilled = true;
+
+                    this.backfillService.recordSeen(
+                        walletAddress,
+                        transaction.signature,
+                        transaction.slot
+                    );
+                    this.deduplicator.add(transaction);
+                }
+
+                if (missed.length > 0) {
+                    this.logger.info(`Backfilled ${missed.length} transactions: ${walletAddress}`);
+                }
+                this.emit('backfillCompleted', { walletAddress, count: missed.length });
+            } catch (error) {
+                this.logger.error(`Error backfilling ${walletAddress}:`, error);
+                this.emit('error', error);
+            } finally {
+                this.backfillingWallets.delete(walletAddress);
+            }
+        }
+    }
+
     /**
      * Enrich transaction with additional token data
      * @param {Object} transaction - Base transaction data
@@ -167,28 +697,32 @@ export class WalletTracker extends EventEmitter {
     async enrichTransaction(transaction) {
         try {
             const enriched = { ...transaction };
-            
-            // Fetch token metadata if available
-            if (transaction.tokenMint) {
-                const tokenData = await this.tokenDataService.getTokenData(transaction.tokenMint);
-                if (tokenData) {
-                    enriched.tokenData = tokenData;
-                    enriched.tokenSymbol = tokenData.symbol;
-                    enriched.tokenName = tokenData.name;
-                    enriched.tokenLogo = tokenData.logoURI;
-                }
-            }
-
-            // Add USD value if price data available
-            if (enriched.tokenData && enriched.tokenData.priceUsd && transaction.amount) {
-                enriched.usdValue = parseFloat(transaction.amount) * enriched.tokenData.priceUsd;
-            }
 
             // Add timestamp if not present
             if (!enriched.timestamp) {
                 enriched.timestamp = Date.now();
             }
 
+            // Price each wallet on its own token, so wallets moving another token
+            // than the primary one are filtered on theirs
+            const [primary, wallets] = await Promise.all([
+                this.getTokenEnrichment(transaction, enriched.timestamp),
+                Promise.all((transaction.wallets || []).map(async wallet => ({
+                    ...wallet,
+                    ...(await this.getTokenEnrichment(wallet, enriched.timestamp))
+                })))
+            ]);
+
+            Object.assign(enriched, primary);
+            enriched.wallets = wallets;
+
+            // Name the primary wallet's token
+            if (primary.tokenData) {
+                enriched.tokenSymbol = primary.tokenData.symbol;
+                enriched.tokenName = primary.tokenData.name;
+                enriched.tokenLogo = primary.tokenData.logoURI;
+            }
+
             return enriched;
         } catch (error) {
             this.logger.warn('Failed to enrich transaction:', error);
@@ -196,6 +730,47 @@ export class WalletTracker extends EventEmitter {
         }
     }
 
+    /**
+     * Fetch the token data, USD value and token age of one perspective's token
+     * @param {Object} perspective - Transaction or wallet perspective with
+     *   tokenMint and amount
+     * @param {number} timestamp - Transaction time in ms
+     * @returns {Promise<Object>} { tokenData, usdValue, tokenCreatedAt, tokenAge },
+     *   each left out when unknown
+     */
+    async getTokenEnrichment(perspective, timestamp) {
+        const enrichment = {};
+
+        if (!perspective.tokenMint) {
+            return enrichment;
+        }
+
+        const tokenData = await this.tokenDataService.getTokenData(perspective.tokenMint);
+        if (tokenData) {
+            enrichment.tokenData = tokenData;
+        }
+
+        // Add USD value if price data available, as an exact decimal string;
+        // a price of 0 is known and gives 0
+        const priceUsd = tokenData && tokenData.priceUsd;
+        if (priceUsd !== null && priceUsd !== undefined && perspective.amount) {
+            enrichment.usdValue = multiplyAmounts(perspective.amount, priceUsd);
+        }
+
+        // Token age at the time of the transaction, fetched only when a filter uses it
+        if (this.transactionFilter.needsTokenAge()) {
+            const createdAt = await this.tokenDataService.getTokenCreationTime(
+                perspective.tokenMint
+            );
+            if (createdAt) {
+                enrichment.tokenCreatedAt = createdAt;
+                enrichment.tokenAge = timestamp - createdAt;
+            }
+        }
+
+        return enrichment;
+    }
+
     /**
      * Add transaction to internal storage
      * @param {Object} transaction - Transaction to add
@@ -217,18 +792,37 @@ export class WalletTracker extends EventEmitter {
     getTransactions(options = {}) {
         let filtered = this.transactions;
 
+        // Match any tracked wallet involved, not only the primary one
         if (options.walletAddress) {
-            filtered = filtered.filter(tx => 
-                tx.walletAddress === options.walletAddress
+            filtered = filtered.filter(tx =>
+                (tx.wallets || []).some(wallet => wallet.walletAddress === options.walletAddress)
             );
         }
 
         if (options.tokenMint) {
-            filtered = filtered.filter(tx => 
-                tx.tokenMint === options.tokenMint
+            filtered = filtered.filter(tx =>
+                tx.tokenMint === options.tokenMint ||
+                (tx.wallets || []).some(wallet =>
+                    wallet.tokenChanges.some(change => change.mint === options.tokenMint)
+                )
             );
         }
 
+        // Funds exchanged with an address, e.g. another tracked wallet or a deployer
+        if (options.counterparty) {
+            filtered = filtered.filter(tx =>
+                (tx.wallets || []).some(wallet =>
+                    wallet.counterparty === options.counterparty ||
+                    wallet.tokenChanges.some(change => change.counterparty === options.counterparty)
+                )
+            );
+        }
+
+        // A type ('transfer') or a tag ('transfer.in')
+        if (options.type) {
+            filtered = filtered.filter(tx => matchesType(tx, options.type));
+        }
+
         if (options.limit) {
             filtered = filtered.slice(0, options.limit);
         }
@@ -236,6 +830,42 @@ export class WalletTracker extends EventEmitter {
         return filtered;
     }
 
+    /**
+     * Get what tracked wallets paid in fees, priority fees and Jito tips
+     * @param {string} [walletAddress] - Wallet to report, all wallets when omitted
+     * @returns {Object|Array<Object>|null} Aggregates, see FeeStats.getStats
+     */
+    getFeeStats(walletAddress) {
+        return walletAddress
+            ? this.feeStats.getStats(walletAddress)
+            : this.feeStats.getAllStats();
+    }
+
+    /**
+     * Pick the filter settings out of tracker options, leaving out unset ones so
+     * the filter keeps its defaults
+     * @param {Object} options - Tracker options
+     * @returns {Object} Filter options
+     */
+    getFilterOptions(options) {
+        const filterOptions = {};
+        for (const [name, filterName] of Object.entries(FILTER_OPTIONS)) {
+            if (options[name] !== undefined) {
+                filterOptions[filterName] = options[name];
+            }
+        }
+        return filterOptions;
+    }
+
+    /**
+     * Get the filter configuration and how many transactions each filter and
+     * wallet passed or rejected
+     * @returns {Object} See TransactionFilter.getFilterStats
+     */
+    getFilterStats() {
+        return this.transactionFilter.getFilterStats();
+    }
+
     /**
      * Validate Solana wallet address
      * @param {string} address - Address to validate
@@ -249,6 +879,102 @@ export class WalletTracker extends EventEmitter {
         return base58Regex.test(address);
     }
 
+    /**
+     * Validate a commitment level
+     * @param {string} commitment - Commitment level to validate
+     */
+    validateCommitment(commitment) {
+        if (!COMMITMENT_LEVELS.includes(commitment)) {
+            throw new Error(`Invalid commitment level: ${commitment}`);
+        }
+    }
+
+    /**
+     * Get the commitment level the stream subscribes at
+     * @returns {string} Commitment level
+     */
+    getSubscriptionCommitment() {
+        // Lifecycle mode reports at the earliest level and follows upgrades itself
+        return this.options.trackCommitmentLifecycle ? 'processed' : this.options.commitment;
+    }
+
+    /**
+     * Get the commitment level for RPC queries, which do not accept 'processed'
+     * @returns {string} Commitment level
+     */
+    getQueryCommitment() {
+        return this.options.commitment === 'finalized' ? 'finalized' : 'confirmed';
+    }
+
+    /**
+     * Resolve the network profile and provider for a set of options
+     * @param {Object} options - Tracker options
+     * @returns {Object} Network endpoints with cluster and provider
+     */
+    resolveNetwork(options) {
+        // Top-level standard URLs predate endpoint profiles and still override them
+        const network = resolveNetwork(options.network, {
+            standardWsUrl: options.standardWsUrl,
+            standardRpcUrl: options.standardRpcUrl,
+            ...options.endpoints
+        });
+
+        return {
+            ...network,
+            provider: resolveProvider(network, options.provider)
+        };
+    }
+
+    /**
+     * Get the endpoint options for the WebSocket backend
+     * @returns {Object} Backend endpoint options
+     */
+    getStreamEndpoints() {
+        return {
+            cluster: this.network.cluster,
+            provider: this.network.provider,
+            heliusWsUrl: this.network.heliusWsUrl,
+            heliusRpcUrl: this.network.heliusRpcUrl,
+            standardWsUrl: this.network.standardWsUrl,
+            standardRpcUrl: this.network.standardRpcUrl
+        };
+    }
+
+    /**
+     * Get the endpoint options for RPC queries
+     * @returns {Object} RPC endpoint options
+     */
+    getQueryEndpoints() {
+        // Without a Helius key or endpoint, queries go to the standard RPC too
+        const useStandard = this.network.provider === 'standard' || !this.network.heliusRpcUrl;
+
+        return {
+            rpcUrl: useStandard ? this.network.standardRpcUrl : null,
+            heliusRpcUrl: this.network.heliusRpcUrl
+        };
+    }
+
+    /**
+     * Switch every service to the current network
+     */
+    applyNetwork() {
+        // Signatures and last seen positions belong to the previous cluster
+        this.backfillService.clear();
+        this.deduplicator.clear();
+        this.watchDeduplicator.clear();
+        this.commitmentTracker.clear();
+
+        this.rpcService.updateEndpoints(this.getQueryEndpoints());
+        this.tokenDataService.updateEndpoint(this.network.birdeyeApiUrl);
+
+        this.websocketBackend.updateEndpoints(this.getStreamEndpoints()).catch(error => {
+            this.logger.error(`Failed to connect to ${this.network.cluster}:`, error);
+            this.emit('error', error);
+        });
+
+        this.logger.info(`Switched to ${this.network.cluster} via ${this.network.provider}`);
+    }
+
     /**
      * Get current tracking status
      * @returns {Object} - Status information
@@ -257,8 +983,17 @@ export class WalletTracker extends EventEmitter {
         return {
             isConnected: this.isConnected,
             trackedWallets: Array.from(this.trackedWallets),
+            trackedPrograms: Array.from(this.trackedPrograms.keys()),
+            tokenWatches: Array.from(this.tokenWatches.keys()),
             transactionCount: this.transactions.length,
-            connectionStatus: this.websocketBackend.getStatus()
+            network: { ...this.network },
+            connectionStatus: this.websocketBackend.getStatus(),
+            deduplication: this.deduplicator.getStats(),
+            commitment: {
+                level: this.getSubscriptionCommitment(),
+                lifecycle: this.options.trackCommitmentLifecycle,
+                ...this.commitmentTracker.getStats()
+            }
         };
     }
 
@@ -283,7 +1018,16 @@ export class WalletTracker extends EventEmitter {
     async stop() {
         try {
             await this.websocketBackend.disconnect();
+            this.deduplicator.clear();
+            this.watchDeduplicator.clear();
+            this.commitmentTracker.clear();
+            this.feeStats.clear();
+            this.transactionFilter.clearWalletProfiles();
+            this.transactionFilter.resetCounters();
+            this.spamDetector.clear();
             this.trackedWallets.clear();
+            this.trackedPrograms.clear();
+            this.tokenWatches.clear();
             this.logger.info('WalletTracker stopped');
         } catch (error) {
             this.logger.error('Failed to stop WalletTracker:', error);
@@ -304,11 +1048,43 @@ export class WalletTracker extends EventEmitter {
      * @param {Object} newOptions - New options to merge
      */
     updateConfig(newOptions) {
+        if (newOptions.commitment) {
+            this.validateCommitment(newOptions.commitment);
+        }
+
+        const networkChanged = NETWORK_OPTIONS.some(name => newOptions[name] !== undefined);
+
+        // Resolve before merging so an invalid network leaves the config untouched
+        const network = networkChanged
+            ? this.resolveNetwork({ ...this.options, ...newOptions })
+            : null;
+
+        // Swap filter rules first so an invalid rule leaves the config untouched
+        const filterOptions = this.getFilterOptions(newOptions);
+        if (Object.keys(filterOptions).length > 0) {
+            this.transactionFilter.updateOptions(filterOptions);
+        }
+
         this.options = { ...this.options, ...newOptions };
         
         // Update services with new options
         if (newOptions.apiKeys) {
             this.websocketBackend.updateApiKeys(newOptions.apiKeys);
+            this.rpcService.updateApiKeys(newOptions.apiKeys);
+        }
+
+        if (newOptions.commitment || newOptions.trackCommitmentLifecycle !== undefined) {
+            this.websocketBackend.updateCommitment(this.getSubscriptionCommitment());
+            this.rpcService.updateCommitment(this.getQueryCommitment());
+
+            if (!this.options.trackCommitmentLifecycle) {
+                this.commitmentTracker.clear();
+            }
+        }
+
+        if (network) {
+            this.network = network;
+            this.applyNetwork();
         }
         
         this.logger.info('Configuration updated');
@@ -0,0 +1,89 @@
+import { WalletTracker } from './wallet-tracker.js';
+
+const WALLET = 'So11111111111111111111111111111111111111112';
+
+const airdrop = (signature, mint) => ({
+    signature,
+    status: 'success',
+    timestamp: Date.now(),
+    fee: 5000,
+    trackedWallet: WALLET,
+    accounts: [{ pubkey: 'Spammer', signer: true }, { pubkey: WALLET, signer: false }],
+    balanceChanges: [{ account: { pubkey: 'Spammer' }, change: -5000 }],
+    tokenTransfers: [
+        { mint, owner: WALLET, account: 'Ata', change: '1000000000', uiChange: '1000' },
+        { mint, owner: 'Spammer', account: 'Src', change: '-1000000000', uiChange: '-1000' }
+    ].map(transfer => ({ ...transfer, decimals: 6 })),
+    instructions: []
+});
+
+describe('WalletTracker', () => {
+    let tracker;
+    let filtered;
+    let kept;
+
+    beforeEach(async () => {
+        // The services start cleanup intervals in their constructors
+        jest.useFakeTimers();
+
+        tracker = new WalletTracker({ hideSpam: true, emitFilteredTransactions: true });
+        tracker.websocketBackend.subscribeToWallet = async () => true;
+        tracker.tokenDataService.fetchTokenData = async mint =>
+            tracker.tokenDataService.processTokenData(mint === 'JUNK'
+                ? { address: mint, price: 0, liquidity: 0 }
+                : { address: mint, price: 2, liquidity: 50000 });
+
+        filtered = [];
+        kept = [];
+        tracker.on('transactionFiltered', event => filtered.push(event));
+        tracker.on('transaction', transaction => kept.push(transaction));
+
+        await tracker.addWallet(WALLET);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('hides the first airdrop of a worthless token once its data is fetched', async () => {
+        await tracker.handleTransaction(airdrop('first', 'JUNK'));
+
+        expect(kept).toHaveLength(0);
+        expect(filtered).toHaveLength(1);
+        expect(filtered[0].decision.reason).toBe('spam');
+        expect(filtered[0].transaction.spamSignals).toContain('worthless-token');
+        expect(tracker.getFilterStats().counters.enriched.rules.spam.rejected).toBe(1);
+    });
+
+    test('applies the type, amount and age filters set through updateConfig', async () => {
+        tracker.updateConfig({ includeTypes: ['swap'] });
+        await tracker.handleTransaction(airdrop('transfer', 'LISTED'));
+
+        expect(filtered.map(({ decision }) => decision.reason)).toEqual(['type']);
+
+        tracker.updateConfig({ includeTypes: null, minAmount: 5000 });
+        await tracker.handleTransaction(airdrop('small', 'LISTED'));
+
+        tracker.updateConfig({ minAmount: 1, maxAge: 1000 });
+        await tracker.handleTransaction({ ...airdrop('old', 'LISTED'), timestamp: 1 });
+
+        expect(filtered.map(({ decision }) => decision.reason)).toEqual(['type', 'amount', 'age']);
+        expect(kept).toHaveLength(0);
+    });
+
+    test('rejects unknown transaction types and leaves the config in place', () => {
+        expect(() => tracker.updateConfig({ excludeTypes: ['transfer', 'airdrop'] }))
+            .toThrow('Unknown transaction type in excludeTypes: airdrop');
+        expect(() => tracker.updateConfig({ minAmount: 'lots' })).toThrow('minAmount');
+        expect(tracker.getFilterStats().excludeTypes).toEqual([]);
+        expect(tracker.getFilterStats().minAmount).toBe(0.001);
+    });
+
+    test('keeps tokens with a price and liquidity', async () => {
+        await tracker.handleTransaction(airdrop('real', 'LISTED'));
+
+        expect(filtered).toHaveLength(0);
+        expect(kept.map(transaction => transaction.signature)).toEqual(['real']);
+        expect(kept[0].spamScore).toBe(0);
+    });
+});
@@ -0,0 +1,32 @@
+/**
+ * Test setup
+ * Browser extension APIs the code may touch, mocked for every test file
+ */
+
+global.chrome = {
+    runtime: {
+        sendMessage: jest.fn(),
+        onMessage: {
+            addListener: jest.fn()
+        }
+    },
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        }
+    },
+    tabs: {
+        query: jest.fn(),
+        sendMessage: jest.fn()
+    }
+};
+
+global.browser = {
+    runtime: {
+        sendMessage: jest.fn(),
+        onMessage: {
+            addListener: jest.fn()
+        }
+    }
+};